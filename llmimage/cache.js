@@ -0,0 +1,189 @@
+// ResponseCache Module - IndexedDB cache for image searches, image details and downloads
+//
+// Entries are grouped by kind, each with its own time to live. When the stored
+// payloads grow past MAX_CACHE_SIZE the least recently used entries are evicted.
+// Values and their bookkeeping live in separate stores, so eviction and the
+// statistics in the settings panel never have to load the (large) values.
+// If IndexedDB is unavailable (private browsing, blocked storage) every lookup
+// misses and nothing is stored, so callers never have to check.
+const ResponseCache = (() => {
+    const DB_NAME = 'llmimage-cache';
+    const VALUE_STORE = 'values';
+    const META_STORE = 'meta';
+    const MAX_CACHE_SIZE = 50 * 1024 * 1024; // Roughly, measured as JSON length
+
+    const HOUR = 60 * 60 * 1000;
+    const TTLS = {
+        search: 24 * HOUR,      // Search results change as Commons grows
+        details: 7 * 24 * HOUR, // Descriptions and licenses rarely change
+        image: 7 * 24 * HOUR    // Downloaded images as data URLs
+    };
+
+    let dbPromise = null;
+
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(VALUE_STORE, { keyPath: 'key' });
+                    request.result.createObjectStore(META_STORE, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                Logger.log(`Cache disabled: ${error.message}`);
+                return null;
+            });
+        }
+        return dbPromise;
+    };
+
+    // Run requests against both stores in one transaction; resolves with the result of
+    // the request that action returns, or null if the cache is unavailable
+    const withStores = async (mode, action) => {
+        const db = await openDatabase();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([VALUE_STORE, META_STORE], mode);
+            const request = action(transaction.objectStore(VALUE_STORE), transaction.objectStore(META_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    const deleteEntries = (keys) => withStores('readwrite', (values, meta) => {
+        keys.forEach(key => {
+            values.delete(key);
+            meta.delete(key);
+        });
+    });
+
+    // Bookkeeping of every entry, for eviction and statistics
+    const getAllMeta = async () => (await withStores('readonly', (values, meta) => meta.getAll())) || [];
+
+    const get = async (kind, key) => {
+        const entryKey = `${kind}:${key}`;
+
+        try {
+            const entryMeta = await withStores('readonly', (values, meta) => meta.get(entryKey));
+            if (!entryMeta) return null;
+
+            if (entryMeta.expires < Date.now()) {
+                await deleteEntries([entryKey]);
+                return null;
+            }
+
+            // Touch the entry so eviction keeps what is actually reused
+            const entry = await withStores('readwrite', (values, meta) => {
+                meta.put({ ...entryMeta, lastUsed: Date.now() });
+                return values.get(entryKey);
+            });
+            return entry ? entry.value : null;
+        } catch (error) {
+            Logger.log(`Cache read failed: ${error.message}`);
+            return null;
+        }
+    };
+
+    // Check for a live entry without loading its value
+    const has = async (kind, key) => {
+        try {
+            const entryMeta = await withStores('readonly', (values, meta) => meta.get(`${kind}:${key}`));
+            return Boolean(entryMeta && entryMeta.expires >= Date.now());
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // Drop expired entries, then the least recently used ones until under MAX_CACHE_SIZE
+    const evict = async () => {
+        const entries = await getAllMeta();
+        const now = Date.now();
+        const expired = entries.filter(entry => entry.expires < now);
+        const live = entries
+            .filter(entry => entry.expires >= now)
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+
+        let totalSize = 0;
+        const evicted = live.filter(entry => {
+            totalSize += entry.size;
+            return totalSize > MAX_CACHE_SIZE;
+        });
+
+        const stale = [...expired, ...evicted];
+        if (stale.length > 0) {
+            await deleteEntries(stale.map(entry => entry.key));
+            Logger.log(`Evicted ${stale.length} cache entries`);
+        }
+    };
+
+    const set = async (kind, key, value) => {
+        try {
+            const now = Date.now();
+            const entryKey = `${kind}:${key}`;
+            await withStores('readwrite', (values, meta) => {
+                values.put({ key: entryKey, value });
+                meta.put({
+                    key: entryKey,
+                    kind,
+                    size: JSON.stringify(value).length,
+                    expires: now + TTLS[kind],
+                    lastUsed: now
+                });
+            });
+            await evict();
+        } catch (error) {
+            Logger.log(`Cache write failed: ${error.message}`);
+        }
+    };
+
+    // Return the cached value, or load, store and return it. Null results are not cached.
+    const getOrLoad = async (kind, key, load) => {
+        const cached = await get(kind, key);
+        if (cached !== null) {
+            Logger.log(`Cache hit (${kind}): ${key}`);
+            return cached;
+        }
+
+        const value = await load();
+        if (value !== null && value !== undefined) {
+            await set(kind, key, value);
+        }
+        return value;
+    };
+
+    // Entry count and size per kind, for the settings panel
+    const getStats = async () => {
+        const now = Date.now();
+        const stats = { count: 0, size: 0, kinds: {} };
+
+        (await getAllMeta())
+            .filter(entry => entry.expires >= now)
+            .forEach(entry => {
+                const kindStats = stats.kinds[entry.kind] || (stats.kinds[entry.kind] = { count: 0, size: 0 });
+                kindStats.count++;
+                kindStats.size += entry.size;
+                stats.count++;
+                stats.size += entry.size;
+            });
+
+        return stats;
+    };
+
+    const clear = async () => {
+        await withStores('readwrite', (values, meta) => {
+            values.clear();
+            meta.clear();
+        });
+        Logger.log('Cache cleared');
+    };
+
+    return { get, has, set, getOrLoad, getStats, clear };
+})();
@@ -0,0 +1,191 @@
+// AnswerExporter Module - Turns an answer into files that can be taken out of the app
+//
+// Markdown keeps the images as links with their source, license and attribution,
+// for pasting into notes and wikis. HTML is a single self-contained file with the
+// images embedded as data URIs and the math already rendered, so it opens offline
+// and prints well. Both are built from the same data formatResponse works with.
+// Slide decks, quizzes and flashcards are exported laid out in full, answers included.
+const AnswerExporter = (() => {
+    // Styles of the exported HTML file, including its print layout
+    const EXPORT_STYLES = `
+        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #222; }
+        figure { margin: 20px 0; break-inside: avoid; }
+        figure img { max-width: 100%; height: auto; border-radius: 5px; }
+        figcaption { font-style: italic; font-size: 0.9em; color: #555; margin-top: 5px; }
+        .image-credits { margin-top: 20px; font-size: 0.85em; color: #555; }
+        .follow-up-question { margin-top: 30px; border-top: 1px solid #ddd; padding-top: 15px; }
+        .export-footer { margin-top: 40px; font-size: 0.85em; color: #666; border-top: 1px solid #ddd; padding-top: 10px; }
+        @media print {
+            body { max-width: none; padding: 0; font-size: 11pt; }
+            a { color: inherit; }
+            h1, h2, h3 { break-after: avoid; }
+        }
+    `;
+
+    const plainText = (value) => Sanitizer.toPlainText(value || '').replace(/\s+/g, ' ').trim();
+
+    // Brackets would end the alt text or link text early
+    const escapeMarkdown = (text) => text.replace(/([[\]\\*_])/g, '\\$1');
+
+    // Title, author, source and license of an image as markdown, each linked where a link is known
+    const renderAttributionMarkdown = (img) => {
+        const { title, titleUrl, author, authorUrl, source, license, licenseUrl } = ImageLicenses.getAttribution(img);
+        const link = (text, url) => url ? `[${escapeMarkdown(text)}](<${url}>)` : escapeMarkdown(text);
+
+        return [
+            `"${link(title, titleUrl)}"`,
+            author ? I18n.t('answer.creditsBy', { author: link(author, authorUrl) }) : null,
+            I18n.t('answer.creditsVia', { source: escapeMarkdown(source) }),
+            license ? `(${link(license, licenseUrl)})` : null
+        ].filter(Boolean).join(' ');
+    };
+
+    // A markdown image with a caption line, and the model's caption for it if there is one
+    const renderImageMarkdown = (img, caption = null) => {
+        const captionLine = caption ? `${escapeMarkdown(plainText(caption))}\n` : '';
+
+        // Data URLs of user images would bury the text, so only a note is kept
+        if (img.userProvided) {
+            return `\n\n${captionLine}*${I18n.t('export.userImage', { title: escapeMarkdown(plainText(img.title)) })}*\n\n`;
+        }
+
+        const altText = escapeMarkdown(plainText(img.altText || img.title));
+        return `\n\n![${altText}](<${img.url}>)\n${captionLine}*${renderAttributionMarkdown(img)}*\n\n`;
+    };
+
+    // A placeholder for replaceImagePlaceholders; galleries and comparisons become their
+    // images one after another, followed by the group's caption
+    const renderPlacementMarkdown = ({ images, caption }) => images.length === 1
+        ? renderImageMarkdown(images[0], caption)
+        : images.map(img => renderImageMarkdown(img)).join('') + (caption ? `${escapeMarkdown(plainText(caption))}\n\n` : '');
+
+    // The credits list that ends every answer, as in the app
+    const renderCreditsMarkdown = (images) => {
+        const creditedImages = images.filter(img => !img.userProvided);
+        if (creditedImages.length === 0) {
+            return '';
+        }
+
+        return `\n\n#### ${I18n.t('answer.credits')}\n\n${creditedImages.map((img, i) => `${i + 1}. ${renderAttributionMarkdown(img)}`).join('\n')}`;
+    };
+
+    // An answer's markdown with its placeholders swapped for images, ending with credits for
+    // the images it shows, as on the page
+    const renderAnswerMarkdown = (answerText, images) => {
+        const shownImages = [];
+        const markdown = ResponseFormatter.replaceImagePlaceholders(answerText, images, (placement) => {
+            placement.images.forEach(img => {
+                if (!shownImages.includes(img)) shownImages.push(img);
+            });
+            return renderPlacementMarkdown(placement);
+        });
+        return markdown + renderCreditsMarkdown(shownImages);
+    };
+
+    const exportNote = () => I18n.t('export.note', { date: new Date().toLocaleDateString() });
+
+    // answer and followUps[].answer come from renderAnswerMarkdown
+    const toMarkdownDocument = ({ question, answer, followUps }) => [
+        `# ${question.trim()}`,
+        answer.trim(),
+        ...followUps.map(followUp => `## ${I18n.t('followUp.heading', { question: followUp.question.trim() })}\n\n${followUp.answer.trim()}`),
+        `---\n\n*${exportNote()}*`
+    ].join('\n\n') + '\n';
+
+    // Swap every image for embedded data; the answer's images carry the data they were
+    // sent to the model with, anything else is downloaded again (from the cache, usually)
+    const embedImages = async (container, images) => {
+        for (const element of Array.from(container.querySelectorAll('img'))) {
+            const src = element.getAttribute('src');
+            const image = images.find(img => img.url === src);
+
+            try {
+                element.src = (image && image.base64) ||
+                    await ImageProcessor.getImageBase64(image ? image.thumbnailUrl || image.url : src);
+            } catch (error) {
+                Logger.log(`Keeping the link to an image that could not be embedded: ${src}`);
+            }
+        }
+    };
+
+    // Typeset the math with MathJax so the file needs no script to show it. The page
+    // uses SVG output with a local font cache, which keeps every formula self-contained.
+    const renderMath = async (container) => {
+        if (!window.MathJax || !MathJax.typesetPromise) {
+            return '';
+        }
+
+        // MathJax measures the surrounding text, so the container has to be in the page
+        container.style.position = 'absolute';
+        container.style.left = '-10000px';
+        container.style.width = '800px';
+        document.body.appendChild(container);
+
+        try {
+            await MathJax.typesetPromise([container]);
+            return MathJax.svgStylesheet ? MathJax.svgStylesheet().outerHTML : '';
+        } finally {
+            MathJax.typesetClear([container]);
+            container.remove();
+            container.removeAttribute('style');
+        }
+    };
+
+    // bodyHtml is the sanitized answer HTML as shown in the app
+    const toHtmlDocument = async ({ question, bodyHtml, images }) => {
+        const container = document.createElement('div');
+        container.innerHTML = bodyHtml;
+
+        await embedImages(container, images);
+
+        let mathStyles = '';
+        try {
+            mathStyles = await renderMath(container);
+        } catch (error) {
+            Logger.log(`Error rendering math for export: ${error.message}`);
+        }
+
+        const title = Sanitizer.escapeHtml(question.trim());
+        return `<!DOCTYPE html>
+<html lang="${I18n.getLocale()}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${EXPORT_STYLES}${ResponseFormatter.STYLES}${OutputModes.STYLES}</style>
+    ${mathStyles}
+</head>
+<body>
+    <h1>${title}</h1>
+    ${container.innerHTML}
+    <p class="export-footer">${Sanitizer.escapeHtml(exportNote())}</p>
+</body>
+</html>
+`;
+    };
+
+    // A file name from the first words of the question
+    const getFileName = (question, extension) => {
+        const slug = question.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60)
+            .replace(/-+$/, '');
+        return `${slug || 'answer'}.${extension}`;
+    };
+
+    const download = (fileName, content, mimeType) => {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before the URL goes away
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    return { renderAnswerMarkdown, toMarkdownDocument, toHtmlDocument, getFileName, download };
+})();
@@ -0,0 +1,366 @@
+// ResponseFormatter Module - Turns the model's markdown and its images into answer HTML
+//
+// The app and the shared viewer both render answers with this module, so a shared
+// answer looks the way it did when it was written. The [[[img1]]] placeholders the
+// model writes, naming images by the IDs they were given, are swapped for figures,
+// galleries and comparisons with their attribution, and the result goes through the
+// sanitizer before it reaches the page.
+const ResponseFormatter = (() => {
+    const SIZES = ['small', 'medium', 'large'];
+    const FLOATS = ['left', 'right'];
+    const CROP_SHAPES = ['square', 'wide', 'tall'];
+    const CROP_FOCUSES = ['top', 'bottom', 'left', 'right', 'center'];
+
+    // Figure layouts, shared by the app, the viewer and exported files
+    const STYLES = `
+        .answer-figure { margin: 20px 0; }
+        .answer-figure img { display: block; width: 100%; height: auto; border-radius: 5px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+        .answer-figure figcaption { font-style: italic; font-size: 0.9em; color: #555; margin-top: 5px; }
+        .figure-caption { display: block; font-style: normal; color: #333; margin-bottom: 3px; }
+        .answer-figure.float-left { float: left; width: 40%; margin: 5px 20px 10px 0; }
+        .answer-figure.float-right { float: right; width: 40%; margin: 5px 0 10px 20px; }
+        .answer-figure.size-small { width: 30%; }
+        .answer-figure.size-medium { width: 50%; }
+        .answer-figure[class*="crop-"] img { object-fit: cover; }
+        .answer-figure.crop-square img { aspect-ratio: 1 / 1; }
+        .answer-figure.crop-wide img { aspect-ratio: 16 / 9; }
+        .answer-figure.crop-tall img { aspect-ratio: 3 / 4; }
+        .answer-figure.crop-top img { object-position: top; }
+        .answer-figure.crop-bottom img { object-position: bottom; }
+        .answer-figure.crop-left img { object-position: left; }
+        .answer-figure.crop-right img { object-position: right; }
+        .answer-figure.size-small:not(.float-left):not(.float-right),
+        .answer-figure.size-medium:not(.float-left):not(.float-right) { margin-left: auto; margin-right: auto; }
+        .image-group { margin: 20px 0; clear: both; }
+        .image-group-items { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 10px; align-items: start; }
+        .image-group-items .answer-figure { margin: 0; }
+        .image-gallery .answer-figure img { height: 180px; object-fit: cover; }
+        .image-compare .image-group-items { grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); }
+        .image-group > figcaption { text-align: center; margin-top: 8px; font-size: 0.9em; color: #333; }
+        .image-not-shared { padding: 15px; border: 1px dashed #ccc; border-radius: 5px; text-align: center; }
+        .image-credits { clear: both; }
+        @media (max-width: 600px) {
+            .answer-figure.float-left, .answer-figure.float-right,
+            .answer-figure.size-small, .answer-figure.size-medium { float: none; width: auto; margin: 20px 0; }
+        }
+    `;
+
+    const addStyles = () => {
+        if (document.getElementById('figure-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'figure-styles';
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    };
+
+    // What a placeholder asks for. Besides [[[img1]]] the model can write
+    //   [[[img1 | caption: text | size: small|medium|large | float: left|right | crop: wide top]]]
+    //   [[[gallery: img1; img2; img3 | caption: text]]] and [[[compare: img1; img2]]]
+    // A crop is a shape (square, wide or tall) and optionally the part of the image to keep
+    // (top, bottom, left, right or center), done with CSS so the whole file is still linked.
+    // A part without a known option name is taken as the caption; unknown values are ignored.
+    const parsePlaceholder = (content) => {
+        const [target, ...parts] = content.split('|');
+        const group = target.match(/^\s*(gallery|compare)\s*:(.*)$/i);
+        const placement = {
+            layout: group ? group[1].toLowerCase() : 'single',
+            refs: (group ? group[2].split(';') : [target]).map(ref => ref.trim()).filter(Boolean),
+            caption: null,
+            size: null,
+            float: null,
+            crop: null
+        };
+
+        parts.forEach(part => {
+            const option = part.match(/^\s*(caption|size|float|crop)\s*:\s*([\s\S]*?)\s*$/i);
+            if (!option) {
+                placement.caption = part.trim() || placement.caption;
+                return;
+            }
+
+            const name = option[1].toLowerCase();
+            const value = option[2];
+            if (name === 'caption') {
+                placement.caption = value || null;
+            } else if (name === 'size' && SIZES.includes(value.toLowerCase())) {
+                placement.size = value.toLowerCase();
+            } else if (name === 'float' && FLOATS.includes(value.toLowerCase())) {
+                placement.float = value.toLowerCase();
+            } else if (name === 'crop') {
+                const [shape, focus = 'center'] = value.toLowerCase().split(/\s+/);
+                if (CROP_SHAPES.includes(shape) && CROP_FOCUSES.includes(focus)) {
+                    placement.crop = { shape, focus };
+                }
+            }
+        });
+
+        return placement;
+    };
+
+    // The image a placeholder names, by its ID; answers written before images had IDs
+    // name them by their exact filename. Nothing is matched by part of a name.
+    const findImage = (ref, processedImages) => {
+        const normalizedRef = ref.toLowerCase().trim();
+        return processedImages.find(img => img.id && img.id.toLowerCase() === normalizedRef) ||
+            processedImages.find(img => img.title.toLowerCase().trim() === normalizedRef);
+    };
+
+    // Replace every [[[...]]] placeholder with what renderPlacement returns for it, e.g. figures
+    // for the page or markdown images for export. renderPlacement gets the parsed placeholder
+    // with its images: { layout, images, caption, size, float, crop }. Placeholders without any
+    // image that can be found are dropped, so no brackets are left in the answer.
+    const replaceImagePlaceholders = (modelResponse, processedImages, renderPlacement, log = () => {}) => {
+        log("Extracting image placeholders from model response");
+        let placeholderCount = 0;
+
+        const formattedResponse = modelResponse.replace(/\[\[\[(.*?)\]\]\]/g, (placeholder, content) => {
+            placeholderCount++;
+            const { refs, ...placement } = parsePlaceholder(content);
+            log(`Found image placeholder: ${placeholder} -> ${refs.join(', ')}`);
+
+            const images = refs.map(ref => {
+                const img = findImage(ref, processedImages);
+                if (!img) {
+                    log(`Warning: Could not find image for placeholder ${placeholder} with ID ${ref}`);
+                }
+                return img;
+            }).filter(Boolean);
+
+            return images.length > 0 ? renderPlacement({ ...placement, images }) : '';
+        });
+
+        // Log the extracted placeholders for debugging
+        log(`Extracted ${placeholderCount} image placeholders`);
+        return formattedResponse;
+    };
+
+    // Which images the placeholders of an answer resolve to, for the pipeline trace:
+    // [{ placeholder, layout, refs: [{ ref, id }] }], id null where nothing matches
+    const resolvePlaceholders = (modelResponse, processedImages) => Array.from(
+        modelResponse.matchAll(/\[\[\[(.*?)\]\]\]/g),
+        ([placeholder, content]) => {
+            const { layout, refs } = parsePlaceholder(content);
+            return {
+                placeholder,
+                layout,
+                refs: refs.map(ref => {
+                    const img = findImage(ref, processedImages);
+                    return { ref, id: img ? img.id || img.title : null };
+                })
+            };
+        }
+    );
+
+    // Problems with the placeholders of a finished answer, as { type, ref, message }:
+    //   unknown   a placeholder names no image, or an image that does not exist
+    //   duplicate an image is shown more than once
+    //   missing   an image ID is written outside a placeholder, e.g. [[img2]], so no image shows
+    const validatePlaceholders = (modelResponse, processedImages) => {
+        const issues = [];
+        const shownImages = [];
+
+        const text = modelResponse.replace(/\[\[\[(.*?)\]\]\]/g, (placeholder, content) => {
+            const { refs } = parsePlaceholder(content);
+            if (refs.length === 0) {
+                issues.push({ type: 'unknown', ref: '', message: `${placeholder} names no image` });
+            }
+
+            refs.forEach(ref => {
+                const img = findImage(ref, processedImages);
+                const id = img && (img.id || img.title);
+                if (!img) {
+                    issues.push({ type: 'unknown', ref, message: `${placeholder} names an image that does not exist: "${ref}"` });
+                } else if (shownImages.includes(img)) {
+                    if (!issues.some(issue => issue.type === 'duplicate' && issue.ref === id)) {
+                        issues.push({ type: 'duplicate', ref: id, message: `${id} is shown more than once` });
+                    }
+                } else {
+                    shownImages.push(img);
+                }
+            });
+            return ' ';
+        });
+
+        Array.from(text.matchAll(/\[*\b(img\d+)\b\]*/gi)).forEach(([mention, ref]) => {
+            const img = findImage(ref, processedImages);
+            if (img && !issues.some(issue => issue.type === 'missing' && issue.ref === img.id)) {
+                issues.push({ type: 'missing', ref: img.id, message: `${img.id} is written as "${mention}" instead of a placeholder, so it is not shown` });
+            }
+        });
+
+        return issues;
+    };
+
+    // Whether a repair of the placeholders that had these issues can replace the answer, with
+    // which issues it fixed and which remain. The repair may only touch placeholders: a much
+    // shorter or longer text, or placeholders gone beyond the broken ones, means the model
+    // rewrote or cut off the answer; it must also leave fewer issues than it was given.
+    const checkRepair = (answerText, repairedText, issues, processedImages) => {
+        const textLength = (text) => text.replace(/\[\[\[.*?\]\]\]/g, '').replace(/\s+/g, ' ').trim().length;
+        const countPlaceholders = (text) => (text.match(/\[\[\[.*?\]\]\]/g) || []).length;
+        const lengthRatio = textLength(repairedText) / Math.max(textLength(answerText), 1);
+        const placeholderCount = countPlaceholders(answerText);
+        const brokenPlaceholders = issues.filter(issue => issue.type !== 'missing').length;
+        const minPlaceholders = Math.max(placeholderCount - brokenPlaceholders, Math.min(placeholderCount, 1));
+        const remaining = validatePlaceholders(repairedText, processedImages);
+
+        const isSameIssue = (a, b) => a.type === b.type && a.ref === b.ref;
+        return {
+            accepted: lengthRatio >= 0.8 && lengthRatio <= 1.2 && countPlaceholders(repairedText) >= minPlaceholders &&
+                remaining.length < issues.length,
+            fixed: issues.filter(issue => !remaining.some(other => isSameIssue(issue, other))),
+            remaining
+        };
+    };
+
+    // Title, author, source and license of an image as HTML, each linked where a link is known
+    const renderAttribution = (img) => {
+        const { title, titleUrl, author, authorUrl, source, license, licenseUrl } = ImageLicenses.getAttribution(img);
+        const link = (text, url) => url
+            ? `<a href="${Sanitizer.escapeHtml(url)}">${Sanitizer.escapeHtml(text)}</a>`
+            : Sanitizer.escapeHtml(text);
+
+        return [
+            `"${link(title, titleUrl)}"`,
+            author ? I18n.t('answer.creditsBy', { author: link(author, authorUrl) }) : null,
+            I18n.t('answer.creditsVia', { source: Sanitizer.escapeHtml(source) }),
+            license ? `(${link(license, licenseUrl)})` : null
+        ].filter(Boolean).join(' ');
+    };
+
+    // An image with its title, author, source and license as a figure for the page, with the
+    // model's caption above the credit and the size, float and crop it asked for
+    const renderImageFigure = (img, { caption = null, size = null, float = null, crop = null } = {}) => {
+        // Shares list the user's own images without their data
+        if (!img.url) {
+            const note = caption ? `${Sanitizer.escapeHtml(Sanitizer.toPlainText(caption).trim())} ` : '';
+            return `<figure class="answer-figure image-not-shared">
+            <figcaption>${note}<small>${I18n.t('answer.userImageNotShared')}</small></figcaption>
+        </figure>`;
+        }
+
+        // Create a cleaner caption by removing the alt text from visual display
+        // and only showing the attribution; user images have none
+        const credit = img.userProvided
+            ? `<small>${I18n.t('answer.userProvided')}</small>`
+            : `<small>${renderAttribution(img)}</small>`;
+
+        // Metadata comes from external sources and may contain markup or
+        // entities, so it is reduced to plain text and escaped
+        const captionText = (text) => Sanitizer.escapeHtml(Sanitizer.toPlainText(text).trim());
+
+        // Clean the alt text by removing newlines and escaping it for the attribute
+        const cleanAltText = captionText(img.altText || `Image from ${img.source}`)
+            .replace(/\r?\n|\r/g, ' ');  // Replace newlines with spaces
+
+        const classes = [
+            'answer-figure',
+            size && `size-${size}`,
+            float && `float-${float}`,
+            crop && `crop-${crop.shape}`,
+            crop && crop.focus !== 'center' && `crop-${crop.focus}`
+        ].filter(Boolean).join(' ');
+        const modelCaption = caption ? `<span class="figure-caption">${captionText(caption)}</span>` : '';
+
+        // Use the original source URL instead of base64
+        return `<figure class="${classes}">
+            <img src="${Sanitizer.escapeHtml(img.url)}" alt="${cleanAltText}">
+            <figcaption>
+                ${modelCaption}${credit}
+            </figcaption>
+        </figure>`;
+    };
+
+    // Images side by side, as a gallery of equal tiles or a comparison at full height
+    const renderImageGroup = ({ layout, images, caption }) => {
+        const groupCaption = caption
+            ? `<figcaption>${Sanitizer.escapeHtml(Sanitizer.toPlainText(caption).trim())}</figcaption>`
+            : '';
+
+        return `<figure class="image-group image-${layout}">
+            <div class="image-group-items">${images.map(img => renderImageFigure(img)).join('')}</div>
+            ${groupCaption}
+        </figure>`;
+    };
+
+    // A parsed placeholder as HTML; a group of which only one image was found is shown on its own
+    const renderPlacement = (placement) => placement.layout === 'single' || placement.images.length === 1
+        ? renderImageFigure(placement.images[0], placement)
+        : renderImageGroup(placement);
+
+    // A list crediting every image shown in an answer, for the end of the answer
+    const renderImageCredits = (images) => {
+        const creditedImages = images.filter(img => !img.userProvided);
+        if (creditedImages.length === 0) {
+            return '';
+        }
+
+        return `<div class="image-credits">
+            <h4>${I18n.t('answer.credits')}</h4>
+            <ol>${creditedImages.map(img => `<li>${renderAttribution(img)}</li>`).join('')}</ol>
+        </div>`;
+    };
+
+    // partial is set while streaming: the text may end mid-placeholder and is re-rendered often.
+    // trustImageUrls lets the answer's images through even if their host is not on the
+    // sanitizer's list; the viewer turns it off, since a stored manifest could name any URL.
+    // mode is one of OutputModes.MODES; anything but an article is laid out by OutputModes.
+    const formatResponse = (modelResponse, processedImages, { partial = false, log = () => {}, trustImageUrls = true, mode = 'article' } = {}) => {
+        if (partial) {
+            // Only log for the final render, not for every streamed chunk
+            log = () => {};
+            // Hide a placeholder that has not finished streaming yet
+            modelResponse = modelResponse.replace(/(\[\[\[[^\]]*\]{0,2}|\[{1,2})$/, '');
+        }
+
+        // Remember which images the answer shows, for the credits below it
+        const shownImages = [];
+        const formattedResponse = replaceImagePlaceholders(modelResponse, processedImages, (placement) => {
+            placement.images.forEach(img => {
+                if (!shownImages.includes(img)) shownImages.push(img);
+            });
+            return renderPlacement(placement);
+        }, log);
+
+        // Credits are added once the answer is complete, not while it streams
+        const credits = partial ? '' : renderImageCredits(shownImages);
+
+        // Convert markdown to HTML, then strip anything outside the allowlist
+        const html = mode === 'article' ? marked.parse(formattedResponse) : OutputModes.render(mode, formattedResponse);
+        return Sanitizer.sanitizeHtml(html + credits, {
+            allowedImageUrls: trustImageUrls ? processedImages.map(img => img.url) : []
+        });
+    };
+
+    // An answer plus its follow-ups, from their formatted HTML
+    const buildConversationHtml = (formattedResponse, followUps) => formattedResponse + followUps.map(({ question, formattedResponse: followUpResponse }) =>
+        `<h3 class="follow-up-question">${Sanitizer.escapeHtml(I18n.t('followUp.heading', { question }))}</h3>${followUpResponse}`
+    ).join('');
+
+    // An answer plus its follow-ups, from their markdown; followUps are { question, answer }
+    const formatConversation = (answer, followUps, images, options = {}) => buildConversationHtml(
+        formatResponse(answer, images, options),
+        followUps.map(({ question, answer: followUpAnswer }) => ({
+            question,
+            formattedResponse: formatResponse(followUpAnswer, images, options)
+        }))
+    );
+
+    return {
+        STYLES,
+        addStyles,
+        replaceImagePlaceholders,
+        resolvePlaceholders,
+        validatePlaceholders,
+        checkRepair,
+        renderAttribution,
+        renderImageFigure,
+        renderImageCredits,
+        formatResponse,
+        buildConversationHtml,
+        formatConversation
+    };
+})();
@@ -0,0 +1,95 @@
+// HistoryStore Module - Local history of questions and answers in IndexedDB
+//
+// Each entry keeps what is needed to show an answer again without asking the model:
+//   { id, createdAt, question, llmConfig: { provider, model, baseUrl }, imageSources,
+//     licensePolicy, answerLanguage, preset: { id, name, template }, outputMode, searchTerms,
+//     images, answer, followUps: [{ question, answer }], share: { id, url, deleteToken, expiresAt } }
+// The preset is a copy, so an answer can be followed up as asked after its preset changed.
+// Entries shared before shares had delete tokens keep a shareUrl instead of share.
+// Images carry the IDs (img1, img2, ...) the answers name them by; entries from before
+// image IDs get them when they are opened.
+// Answers are stored as the model's raw markdown and images without their base64
+// data, except user-provided ones whose URL is their data. API keys are never stored.
+const HistoryStore = (() => {
+    const DB_NAME = 'llmimage-history';
+    const STORE_NAME = 'entries';
+
+    let dbPromise = null;
+
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    // Run a request against the store and resolve with its result
+    const withStore = async (mode, action) => {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    // Only what names the model, so an API key in the config never reaches the history
+    const toStoredConfig = ({ provider, model, baseUrl }) => ({ provider, model, baseUrl });
+
+    const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+
+    const add = async (entry) => {
+        const id = generateId();
+        await withStore('readwrite', store => store.put({ ...entry, llmConfig: toStoredConfig(entry.llmConfig), id, createdAt: Date.now() }));
+        return id;
+    };
+
+    const update = async (id, changes) => {
+        const entry = await get(id);
+        if (!entry) {
+            throw new Error('History entry not found');
+        }
+        const updated = { ...entry, ...changes, id };
+        await withStore('readwrite', store => store.put({ ...updated, llmConfig: toStoredConfig(updated.llmConfig) }));
+    };
+
+    const get = (id) => withStore('readonly', store => store.get(id));
+
+    const remove = (id) => withStore('readwrite', store => store.delete(id));
+
+    // Newest first, optionally only entries whose question, answer, model or
+    // search terms contain every word of the query
+    const list = async (query = '') => {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = await withStore('readonly', store => store.getAll());
+
+        return entries
+            .filter(entry => {
+                const text = [
+                    entry.question,
+                    entry.answer,
+                    entry.llmConfig.model,
+                    ...entry.searchTerms.map(searchTerm => searchTerm.term),
+                    ...entry.followUps.map(followUp => `${followUp.question} ${followUp.answer}`)
+                ].join(' ').toLowerCase();
+                return words.every(word => text.includes(word));
+            })
+            .sort((a, b) => b.createdAt - a.createdAt);
+    };
+
+    return { add, update, get, remove, list };
+})();
@@ -0,0 +1,708 @@
+// I18n Module - Interface strings in English, German and Spanish, and question language detection
+//
+// Static text in the pages names its string with a data-i18n attribute (or
+// data-i18n-placeholder, data-i18n-title, data-i18n-aria-label for those attributes);
+// text built in code uses t(). The interface language comes from ?lang= or the
+// browser, falling back to English for strings and languages that are missing.
+const I18n = (() => {
+    // Languages questions can be answered in; name is how prompts refer to them
+    const LANGUAGES = {
+        en: { name: 'English', nativeName: 'English' },
+        de: { name: 'German', nativeName: 'Deutsch' },
+        es: { name: 'Spanish', nativeName: 'Español' }
+    };
+
+    const STRINGS = {
+        en: {
+            'history.toggle': 'History',
+            'history.label': 'Question history',
+            'history.search': 'Search past answers...',
+            'history.unavailable': 'History unavailable: {message}',
+            'history.noMatches': 'No matching answers.',
+            'history.empty': 'Answers you get are saved here.',
+            'history.meta': '{date} · {model} · {count} images',
+            'history.open': 'Open',
+            'history.openTitle': 'Show this answer again',
+            'history.rerun': 'Re-run',
+            'history.rerunTitle': 'Ask this question again with the model selected now',
+            'history.share': 'Share',
+            'history.shareTitle': 'Create a share link for this answer',
+            'history.deleteShare': 'Unshare',
+            'history.deleteShareTitle': 'Delete the share link of this answer',
+            'history.delete': 'Delete',
+            'history.deleteTitle': 'Remove this answer from the history',
+            'history.confirmDelete': 'Delete this answer from the history?',
+            'history.failed': '{action} failed: {message}',
+            'guide.intro': 'Ask any question and get an answer with relevant images from Wikimedia Commons and other open image collections. Or check out these examples:',
+            'question.placeholder': "Type your question here and click 'Ask Question'...",
+            'attach.label': 'Attach your own images',
+            'attach.hint': 'or drag and drop them here, or paste them into the question',
+            'attach.failed': 'Could not attach image: {message}',
+            'attach.remove': 'Remove {title}',
+            'submit.ask': 'Ask Question',
+            'submit.processing': 'Generating Search Terms...',
+            'submit.finding': 'Finding Images...',
+            'submit.analyzing': 'Creating Response...',
+            'cancel': 'Cancel',
+            'error.message': 'Error: {message}',
+            'apiKey.label': 'Add your API key: ',
+            'apiKey.placeholder': 'API Key',
+            'apiKey.needKey': 'Need an API key?',
+            'apiKey.getKey': 'Get one from Google AI Studio',
+            'apiKey.limits': 'If you encounter usage limits, you can create your own key for free.',
+            'apiKey.optional': 'API Key (optional)',
+            'apiKey.required': 'API Key (required)',
+            'apiKey.providerRequired': '{provider} API Key (required)',
+            'apiKey.providerPlaceholder': '{provider} API Key',
+            'apiKey.proxyPlaceholder': 'Optional when using proxy',
+            'apiKey.directPlaceholder': 'Required for direct API access',
+            'apiKey.endpointPlaceholder': 'Only if your endpoint needs one',
+            'proxy.label': 'Use shared API (maybe reached limit)',
+            'proxy.hint': 'Uncheck to use your own',
+            'model.label': 'Select Model:',
+            'model.hint': 'Flash-Thinking provides more thoughtful responses but may be slower',
+            'endpoint.url': 'Endpoint URL:',
+            'endpoint.model': 'Model name (optional):',
+            'endpoint.modelPlaceholder': 'e.g. llava, qwen2.5vl',
+            'endpoint.hintPrefix': 'Any OpenAI-compatible',
+            'endpoint.hintSuffix': 'endpoint with vision support works. Nothing is sent to Google when one is selected.',
+            'language.label': 'Answer language:',
+            'language.auto': 'Same as the question',
+            'language.hint': 'Images are searched for in this language and in English, preferring ones labelled in this language.',
+            'mode.label': 'Output:',
+            'mode.article': 'Article',
+            'mode.slides': 'Slide deck',
+            'mode.quiz': 'Quiz',
+            'mode.flashcards': 'Flashcards',
+            'mode.hint': 'Slide decks, quizzes and flashcards use the same images as an article. Use the arrow keys to move through slides.',
+            'slides.label': 'Slides',
+            'slides.previous': 'Previous',
+            'slides.next': 'Next',
+            'slides.fullscreen': 'Fullscreen',
+            'slides.counter': '{current} / {total}',
+            'quiz.score': 'Score: {correct} of {total}',
+            'flashcards.turn': 'Click to turn the card over',
+            'preset.label': 'Answer style:',
+            'preset.standard': 'Standard',
+            'preset.kids': 'Explain to a 10-year-old',
+            'preset.technical': 'Technical deep dive',
+            'preset.exam': 'Exam revision',
+            'preset.edit': 'Edit answer styles',
+            'preset.name': 'Name:',
+            'preset.template': 'Instructions for the model:',
+            'preset.variables': 'Write {question} for the question and {language} for the answer language. Built-in styles cannot be changed, but can be saved as a new style.',
+            'preset.save': 'Save',
+            'preset.saveCopy': 'Save as new',
+            'preset.delete': 'Delete',
+            'preset.export': 'Export',
+            'preset.import': 'Import',
+            'preset.saved': 'Saved "{name}".',
+            'preset.deleted': 'Deleted "{name}".',
+            'preset.imported': 'Imported {count} answer styles.',
+            'preset.confirmDelete': 'Delete the answer style "{name}"?',
+            'preset.failed': '{action} failed: {message}',
+            'sources.label': 'Image sources:',
+            'sources.local': 'Local catalog',
+            'sources.catalogHint': 'The local catalog is a JSON file listing your own images, so the app can run against them without any external image service.',
+            'licenses.label': 'Image licenses:',
+            'licenses.any': 'Any license',
+            'licenses.bySa': 'Public domain, CC BY and CC BY-SA',
+            'licenses.by': 'Public domain and CC BY',
+            'licenses.publicDomain': 'Public domain and CC0 only',
+            'licenses.hint': 'Images with other licenses are left out before the model sees them. Images with a license that cannot be recognized are only used with "Any license".',
+            'cache.title': 'Image cache',
+            'cache.loading': 'Loading...',
+            'cache.clear': 'Clear cache',
+            'cache.hint': 'Image searches, image details and downloaded images are kept in this browser for up to a week, so repeated and related questions are faster.',
+            'cache.empty': 'The cache is empty.',
+            'cache.stats': '{count} entries, {size}: {kinds}',
+            'cache.unavailable': 'Cache unavailable: {message}',
+            'cache.kind.search': 'searches',
+            'cache.kind.details': 'image details',
+            'cache.kind.image': 'images',
+            'usage.title': 'Token usage',
+            'usage.empty': 'No model calls yet.',
+            'usage.budget': 'Token budget per question:',
+            'usage.noLimit': 'No limit',
+            'usage.budgetMode': 'When a request would go over it:',
+            'usage.capImages': 'Send fewer images',
+            'usage.block': 'Do not send it',
+            'usage.hint': "A question's budget covers its search terms, answer and placeholder repair; each follow-up has its own. Costs are estimates from list prices, and the tokens of a request are estimated before it is sent.",
+            'usage.totals': 'This session: {tokens} tokens ({prompt} prompt, {output} output), {cost}',
+            'usage.totalsWithImages': 'This session: {tokens} tokens ({prompt} prompt, {images} of them for images, {output} output), {cost}',
+            'usage.questionTotals': '{tokens} tokens, {cost}',
+            'usage.cost': 'about ${cost}',
+            'usage.unknownCost': 'cost unknown',
+            'usage.followUp': 'Follow-up: {question}',
+            'usage.call': 'Call',
+            'usage.model': 'Model',
+            'usage.prompt': 'Prompt',
+            'usage.images': 'Images',
+            'usage.output': 'Output',
+            'usage.costColumn': 'Cost',
+            'usage.step.searchTerms': 'Search terms',
+            'usage.step.analysis': 'Answer',
+            'usage.step.followUp': 'Follow-up',
+            'usage.step.placeholderRepair': 'Placeholder repair',
+            'trace.download': 'Download trace',
+            'trace.replay': 'Replay a trace',
+            'trace.hint': 'A trace records every step of the latest question with its timings, without API keys or image data. Replaying one shows its answer again without any requests.',
+            'trace.failed': 'Trace failed: {message}',
+            'loading': 'Processing your question...',
+            'info.title': 'How it Works',
+            'info.show': 'Show',
+            'info.hide': 'Hide',
+            'info.searchTerms': 'Search Term Generation:',
+            'info.searchTermsText': 'When you submit a question, the app uses the selected AI model (Gemini by default) to generate relevant search terms.',
+            'info.retrieval': 'Image Retrieval:',
+            'info.retrievalText': 'These search terms are used to find relevant images from Wikimedia Commons and any other image sources you enable.',
+            'info.analysis': 'Image Analysis:',
+            'info.analysisText': 'The model analyzes the images alongside your question to create a visual response.',
+            'info.response': 'Response Generation:',
+            'info.responseText': 'The AI creates an answer that incorporates relevant images with explanatory text.',
+            'info.privacy': 'Privacy Note:',
+            'info.privacyText': 'Your API key is used only for API calls and is not stored beyond your current session.',
+            'debug.log': 'Debug Log',
+            'debug.images': 'Retrieved Images',
+            'alert.question': 'Please enter a question',
+            'alert.apiKey': 'Please enter your {provider} API key',
+            'alert.model': 'Please enter the model name for your endpoint',
+            'alert.sources': 'Please select at least one image source or attach an image',
+            'alert.followUp': 'Please enter a follow-up question',
+            'answer.title': 'Answer:',
+            'answer.share': 'Share this response',
+            'answer.sharing': 'Generating link...',
+            'answer.shareFailed': 'Error sharing response: {message}',
+            'answer.copy': 'Copy',
+            'answer.copied': 'Link copied to clipboard!',
+            'answer.embed': 'Copy embed code',
+            'answer.embedCopied': 'Embed code copied to clipboard!',
+            'answer.exportMarkdown': 'Export Markdown',
+            'answer.exportHtml': 'Export HTML',
+            'answer.exporting': 'Exporting...',
+            'answer.exportFailed': 'Error exporting response: {message}',
+            'answer.print': 'Print / Save as PDF',
+            'answer.expiry': 'When the share link stops working',
+            'answer.expiryNever': 'Link never expires',
+            'answer.expiry1': 'Link expires after 1 day',
+            'answer.expiry7': 'Link expires after 7 days',
+            'answer.expiry30': 'Link expires after 30 days',
+            'answer.deleteToken': 'Delete token: {token}. Keep it to take the link down later.',
+            'answer.expires': 'The link expires on {date}.',
+            'answer.selfContained': 'The link holds the answer itself: nothing is stored, and it cannot be taken down.',
+            'answer.deleteShare': 'Delete share',
+            'answer.confirmDeleteShare': 'Delete this share? The link will stop working.',
+            'answer.shareDeleted': 'The share was deleted.',
+            'answer.deleteShareFailed': 'Error deleting share: {message}',
+            'answer.userProvided': 'User-provided',
+            'answer.userImageNotShared': 'An image attached by the asker, not included in shared links',
+            'answer.credits': 'Image credits',
+            'answer.creditsBy': 'by {author}',
+            'answer.creditsVia': 'via {source}',
+            'followUp.placeholder': "Ask a follow-up question, e.g. 'now show me the left ventricle'",
+            'followUp.ask': 'Ask follow-up',
+            'followUp.answering': 'Answering...',
+            'followUp.thinking': 'Thinking...',
+            'followUp.heading': 'Follow-up: {question}',
+            'followUp.findingImages': 'Finding more images...',
+            'followUp.cancelled': 'Cancelled.',
+            'export.userImage': 'User-provided image: {title} (not included in the export)',
+            'export.note': 'Exported from the Wikimedia Image-Enhanced Q&A Tool on {date}',
+            'viewer.loading': 'Loading shared content...',
+            'viewer.create': 'Create your own response',
+            'viewer.openFull': 'Open the full answer',
+            'viewer.preset': 'Answer style: {name}',
+            'viewer.clientError': 'Error connecting to the share storage.',
+            'viewer.noId': 'No share ID provided. Please check your link.',
+            'viewer.notFound': 'Shared content not found or has expired.',
+            'viewer.loadFailed': 'Error loading shared content: {message}'
+        },
+        de: {
+            'history.toggle': 'Verlauf',
+            'history.label': 'Fragenverlauf',
+            'history.search': 'Frühere Antworten durchsuchen...',
+            'history.unavailable': 'Verlauf nicht verfügbar: {message}',
+            'history.noMatches': 'Keine passenden Antworten.',
+            'history.empty': 'Deine Antworten werden hier gespeichert.',
+            'history.meta': '{date} · {model} · {count} Bilder',
+            'history.open': 'Öffnen',
+            'history.openTitle': 'Diese Antwort wieder anzeigen',
+            'history.rerun': 'Neu fragen',
+            'history.rerunTitle': 'Diese Frage mit dem jetzt gewählten Modell erneut stellen',
+            'history.share': 'Teilen',
+            'history.shareTitle': 'Einen Link zu dieser Antwort erstellen',
+            'history.deleteShare': 'Freigabe löschen',
+            'history.deleteShareTitle': 'Den Link zu dieser Antwort löschen',
+            'history.delete': 'Löschen',
+            'history.deleteTitle': 'Diese Antwort aus dem Verlauf entfernen',
+            'history.confirmDelete': 'Diese Antwort aus dem Verlauf löschen?',
+            'history.failed': '{action} fehlgeschlagen: {message}',
+            'guide.intro': 'Stelle eine beliebige Frage und erhalte eine Antwort mit passenden Bildern aus Wikimedia Commons und anderen offenen Bildsammlungen. Oder sieh dir diese Beispiele an:',
+            'question.placeholder': "Gib hier deine Frage ein und klicke auf 'Frage stellen'...",
+            'attach.label': 'Eigene Bilder anhängen',
+            'attach.hint': 'oder hierher ziehen oder in die Frage einfügen',
+            'attach.failed': 'Bild konnte nicht angehängt werden: {message}',
+            'attach.remove': '{title} entfernen',
+            'submit.ask': 'Frage stellen',
+            'submit.processing': 'Suchbegriffe werden erstellt...',
+            'submit.finding': 'Bilder werden gesucht...',
+            'submit.analyzing': 'Antwort wird erstellt...',
+            'cancel': 'Abbrechen',
+            'error.message': 'Fehler: {message}',
+            'apiKey.label': 'Eigenen API-Schlüssel eingeben: ',
+            'apiKey.placeholder': 'API-Schlüssel',
+            'apiKey.needKey': 'Du brauchst einen API-Schlüssel?',
+            'apiKey.getKey': 'Hol dir einen bei Google AI Studio',
+            'apiKey.limits': 'Wenn du an Nutzungsgrenzen stößt, kannst du kostenlos einen eigenen Schlüssel erstellen.',
+            'apiKey.optional': 'API-Schlüssel (optional)',
+            'apiKey.required': 'API-Schlüssel (erforderlich)',
+            'apiKey.providerRequired': '{provider}-API-Schlüssel (erforderlich)',
+            'apiKey.providerPlaceholder': '{provider}-API-Schlüssel',
+            'apiKey.proxyPlaceholder': 'Optional mit dem Proxy',
+            'apiKey.directPlaceholder': 'Für den direkten API-Zugriff erforderlich',
+            'apiKey.endpointPlaceholder': 'Nur wenn dein Endpunkt einen braucht',
+            'proxy.label': 'Gemeinsame API verwenden (evtl. am Limit)',
+            'proxy.hint': 'Abwählen, um deinen eigenen zu verwenden',
+            'model.label': 'Modell wählen:',
+            'model.hint': 'Flash-Thinking antwortet durchdachter, kann aber langsamer sein',
+            'endpoint.url': 'Endpunkt-URL:',
+            'endpoint.model': 'Modellname (optional):',
+            'endpoint.modelPlaceholder': 'z. B. llava, qwen2.5vl',
+            'endpoint.hintPrefix': 'Jeder OpenAI-kompatible',
+            'endpoint.hintSuffix': 'Endpunkt mit Bildunterstützung funktioniert. Ist einer gewählt, wird nichts an Google gesendet.',
+            'language.label': 'Sprache der Antwort:',
+            'language.auto': 'Wie die Frage',
+            'language.hint': 'Bilder werden in dieser Sprache und auf Englisch gesucht, bevorzugt solche mit Beschriftungen in dieser Sprache.',
+            'mode.label': 'Ausgabe:',
+            'mode.article': 'Artikel',
+            'mode.slides': 'Foliensatz',
+            'mode.quiz': 'Quiz',
+            'mode.flashcards': 'Lernkarten',
+            'mode.hint': 'Foliensätze, Quiz und Lernkarten nutzen dieselben Bilder wie ein Artikel. Mit den Pfeiltasten geht es durch die Folien.',
+            'slides.label': 'Folien',
+            'slides.previous': 'Zurück',
+            'slides.next': 'Weiter',
+            'slides.fullscreen': 'Vollbild',
+            'slides.counter': '{current} / {total}',
+            'quiz.score': 'Punkte: {correct} von {total}',
+            'flashcards.turn': 'Klicken, um die Karte umzudrehen',
+            'preset.label': 'Antwortstil:',
+            'preset.standard': 'Standard',
+            'preset.kids': 'Für Zehnjährige erklärt',
+            'preset.technical': 'Technisch ausführlich',
+            'preset.exam': 'Prüfungsvorbereitung',
+            'preset.edit': 'Antwortstile bearbeiten',
+            'preset.name': 'Name:',
+            'preset.template': 'Anweisungen für das Modell:',
+            'preset.variables': 'Schreibe {question} für die Frage und {language} für die Antwortsprache. Eingebaute Stile lassen sich nicht ändern, aber als neuer Stil speichern.',
+            'preset.save': 'Speichern',
+            'preset.saveCopy': 'Als neu speichern',
+            'preset.delete': 'Löschen',
+            'preset.export': 'Exportieren',
+            'preset.import': 'Importieren',
+            'preset.saved': '„{name}“ gespeichert.',
+            'preset.deleted': '„{name}“ gelöscht.',
+            'preset.imported': '{count} Antwortstile importiert.',
+            'preset.confirmDelete': 'Den Antwortstil „{name}“ löschen?',
+            'preset.failed': '{action} fehlgeschlagen: {message}',
+            'sources.label': 'Bildquellen:',
+            'sources.local': 'Lokaler Katalog',
+            'sources.catalogHint': 'Der lokale Katalog ist eine JSON-Datei mit deinen eigenen Bildern, sodass die App ganz ohne externen Bilddienst auskommt.',
+            'licenses.label': 'Bildlizenzen:',
+            'licenses.any': 'Jede Lizenz',
+            'licenses.bySa': 'Gemeinfrei, CC BY und CC BY-SA',
+            'licenses.by': 'Gemeinfrei und CC BY',
+            'licenses.publicDomain': 'Nur gemeinfrei und CC0',
+            'licenses.hint': 'Bilder mit anderen Lizenzen werden aussortiert, bevor das Modell sie sieht. Bilder mit einer nicht erkannten Lizenz werden nur mit „Jede Lizenz“ verwendet.',
+            'cache.title': 'Bildcache',
+            'cache.loading': 'Wird geladen...',
+            'cache.clear': 'Cache leeren',
+            'cache.hint': 'Bildsuchen, Bilddetails und heruntergeladene Bilder werden bis zu einer Woche in diesem Browser gespeichert, damit wiederholte und ähnliche Fragen schneller gehen.',
+            'cache.empty': 'Der Cache ist leer.',
+            'cache.stats': '{count} Einträge, {size}: {kinds}',
+            'cache.unavailable': 'Cache nicht verfügbar: {message}',
+            'cache.kind.search': 'Suchen',
+            'cache.kind.details': 'Bilddetails',
+            'cache.kind.image': 'Bilder',
+            'usage.title': 'Token-Verbrauch',
+            'usage.empty': 'Noch keine Modellaufrufe.',
+            'usage.budget': 'Token-Budget pro Frage:',
+            'usage.noLimit': 'Kein Limit',
+            'usage.budgetMode': 'Wenn eine Anfrage es überschreiten würde:',
+            'usage.capImages': 'Weniger Bilder senden',
+            'usage.block': 'Nicht senden',
+            'usage.hint': 'Das Budget einer Frage umfasst Suchbegriffe, Antwort und Platzhalter-Reparatur; jede Nachfrage hat ihr eigenes. Kosten sind Schätzungen nach Listenpreisen, und die Tokens einer Anfrage werden vor dem Senden geschätzt.',
+            'usage.totals': 'Diese Sitzung: {tokens} Tokens ({prompt} Prompt, {output} Ausgabe), {cost}',
+            'usage.totalsWithImages': 'Diese Sitzung: {tokens} Tokens ({prompt} Prompt, davon {images} für Bilder, {output} Ausgabe), {cost}',
+            'usage.questionTotals': '{tokens} Tokens, {cost}',
+            'usage.cost': 'etwa ${cost}',
+            'usage.unknownCost': 'Kosten unbekannt',
+            'usage.followUp': 'Nachfrage: {question}',
+            'usage.call': 'Aufruf',
+            'usage.model': 'Modell',
+            'usage.prompt': 'Prompt',
+            'usage.images': 'Bilder',
+            'usage.output': 'Ausgabe',
+            'usage.costColumn': 'Kosten',
+            'usage.step.searchTerms': 'Suchbegriffe',
+            'usage.step.analysis': 'Antwort',
+            'usage.step.followUp': 'Nachfrage',
+            'usage.step.placeholderRepair': 'Platzhalter-Reparatur',
+            'trace.download': 'Ablauf herunterladen',
+            'trace.replay': 'Ablauf abspielen',
+            'trace.hint': 'Ein Ablaufprotokoll hält jeden Schritt der letzten Frage mit seiner Dauer fest, ohne API-Schlüssel und Bilddaten. Beim Abspielen wird die Antwort ohne jede Anfrage erneut angezeigt.',
+            'trace.failed': 'Ablaufprotokoll fehlgeschlagen: {message}',
+            'loading': 'Deine Frage wird bearbeitet...',
+            'info.title': 'So funktioniert es',
+            'info.show': 'Anzeigen',
+            'info.hide': 'Ausblenden',
+            'info.searchTerms': 'Suchbegriffe:',
+            'info.searchTermsText': 'Wenn du eine Frage stellst, erzeugt das gewählte KI-Modell (standardmäßig Gemini) passende Suchbegriffe.',
+            'info.retrieval': 'Bildsuche:',
+            'info.retrievalText': 'Mit diesen Suchbegriffen werden passende Bilder in Wikimedia Commons und den anderen aktivierten Bildquellen gesucht.',
+            'info.analysis': 'Bildanalyse:',
+            'info.analysisText': 'Das Modell betrachtet die Bilder zusammen mit deiner Frage, um eine bebilderte Antwort zu erstellen.',
+            'info.response': 'Antwort:',
+            'info.responseText': 'Die KI schreibt eine Antwort, die passende Bilder mit erklärendem Text verbindet.',
+            'info.privacy': 'Datenschutz:',
+            'info.privacyText': 'Dein API-Schlüssel wird nur für API-Aufrufe verwendet und nicht über die aktuelle Sitzung hinaus gespeichert.',
+            'debug.log': 'Debug-Protokoll',
+            'debug.images': 'Gefundene Bilder',
+            'alert.question': 'Bitte gib eine Frage ein',
+            'alert.apiKey': 'Bitte gib deinen {provider}-API-Schlüssel ein',
+            'alert.model': 'Bitte gib den Modellnamen für deinen Endpunkt ein',
+            'alert.sources': 'Bitte wähle mindestens eine Bildquelle oder hänge ein Bild an',
+            'alert.followUp': 'Bitte gib eine Anschlussfrage ein',
+            'answer.title': 'Antwort:',
+            'answer.share': 'Antwort teilen',
+            'answer.sharing': 'Link wird erstellt...',
+            'answer.shareFailed': 'Fehler beim Teilen: {message}',
+            'answer.copy': 'Kopieren',
+            'answer.copied': 'Link in die Zwischenablage kopiert!',
+            'answer.embed': 'Einbettungscode kopieren',
+            'answer.embedCopied': 'Einbettungscode in die Zwischenablage kopiert!',
+            'answer.exportMarkdown': 'Als Markdown exportieren',
+            'answer.exportHtml': 'Als HTML exportieren',
+            'answer.exporting': 'Wird exportiert...',
+            'answer.exportFailed': 'Fehler beim Exportieren: {message}',
+            'answer.print': 'Drucken / als PDF speichern',
+            'answer.expiry': 'Wann der Link ungültig wird',
+            'answer.expiryNever': 'Link läuft nicht ab',
+            'answer.expiry1': 'Link läuft nach 1 Tag ab',
+            'answer.expiry7': 'Link läuft nach 7 Tagen ab',
+            'answer.expiry30': 'Link läuft nach 30 Tagen ab',
+            'answer.deleteToken': 'Lösch-Token: {token}. Bewahre es auf, um den Link später zu entfernen.',
+            'answer.expires': 'Der Link läuft am {date} ab.',
+            'answer.selfContained': 'Der Link enthält die Antwort selbst: Es wird nichts gespeichert, und er kann nicht entfernt werden.',
+            'answer.deleteShare': 'Freigabe löschen',
+            'answer.confirmDeleteShare': 'Diese Freigabe löschen? Der Link funktioniert dann nicht mehr.',
+            'answer.shareDeleted': 'Die Freigabe wurde gelöscht.',
+            'answer.deleteShareFailed': 'Fehler beim Löschen der Freigabe: {message}',
+            'answer.userProvided': 'Eigenes Bild',
+            'answer.userImageNotShared': 'Ein eigenes Bild der fragenden Person, nicht in geteilten Links enthalten',
+            'answer.credits': 'Bildnachweise',
+            'answer.creditsBy': 'von {author}',
+            'answer.creditsVia': 'über {source}',
+            'followUp.placeholder': "Stelle eine Anschlussfrage, z. B. 'zeig mir jetzt die linke Herzkammer'",
+            'followUp.ask': 'Nachfragen',
+            'followUp.answering': 'Wird beantwortet...',
+            'followUp.thinking': 'Denkt nach...',
+            'followUp.heading': 'Anschlussfrage: {question}',
+            'followUp.findingImages': 'Weitere Bilder werden gesucht...',
+            'followUp.cancelled': 'Abgebrochen.',
+            'export.userImage': 'Eigenes Bild: {title} (nicht im Export enthalten)',
+            'export.note': 'Exportiert aus dem Wikimedia Image-Enhanced Q&A Tool am {date}',
+            'viewer.loading': 'Geteilter Inhalt wird geladen...',
+            'viewer.create': 'Eigene Antwort erstellen',
+            'viewer.openFull': 'Ganze Antwort öffnen',
+            'viewer.preset': 'Antwortstil: {name}',
+            'viewer.clientError': 'Fehler beim Verbinden mit dem Freigabespeicher.',
+            'viewer.noId': 'Keine Freigabe-ID angegeben. Bitte prüfe deinen Link.',
+            'viewer.notFound': 'Der geteilte Inhalt wurde nicht gefunden oder ist abgelaufen.',
+            'viewer.loadFailed': 'Fehler beim Laden des geteilten Inhalts: {message}'
+        },
+        es: {
+            'history.toggle': 'Historial',
+            'history.label': 'Historial de preguntas',
+            'history.search': 'Buscar respuestas anteriores...',
+            'history.unavailable': 'Historial no disponible: {message}',
+            'history.noMatches': 'No hay respuestas que coincidan.',
+            'history.empty': 'Las respuestas que recibas se guardan aquí.',
+            'history.meta': '{date} · {model} · {count} imágenes',
+            'history.open': 'Abrir',
+            'history.openTitle': 'Mostrar de nuevo esta respuesta',
+            'history.rerun': 'Repetir',
+            'history.rerunTitle': 'Volver a hacer esta pregunta con el modelo seleccionado ahora',
+            'history.share': 'Compartir',
+            'history.shareTitle': 'Crear un enlace para compartir esta respuesta',
+            'history.deleteShare': 'Dejar de compartir',
+            'history.deleteShareTitle': 'Eliminar el enlace de esta respuesta',
+            'history.delete': 'Eliminar',
+            'history.deleteTitle': 'Quitar esta respuesta del historial',
+            'history.confirmDelete': '¿Eliminar esta respuesta del historial?',
+            'history.failed': '{action} falló: {message}',
+            'guide.intro': 'Haz cualquier pregunta y recibe una respuesta con imágenes relevantes de Wikimedia Commons y otras colecciones de imágenes abiertas. O mira estos ejemplos:',
+            'question.placeholder': "Escribe aquí tu pregunta y haz clic en 'Preguntar'...",
+            'attach.label': 'Adjuntar tus propias imágenes',
+            'attach.hint': 'o arrástralas aquí, o pégalas en la pregunta',
+            'attach.failed': 'No se pudo adjuntar la imagen: {message}',
+            'attach.remove': 'Quitar {title}',
+            'submit.ask': 'Preguntar',
+            'submit.processing': 'Generando términos de búsqueda...',
+            'submit.finding': 'Buscando imágenes...',
+            'submit.analyzing': 'Creando la respuesta...',
+            'cancel': 'Cancelar',
+            'error.message': 'Error: {message}',
+            'apiKey.label': 'Añade tu clave de API: ',
+            'apiKey.placeholder': 'Clave de API',
+            'apiKey.needKey': '¿Necesitas una clave de API?',
+            'apiKey.getKey': 'Consigue una en Google AI Studio',
+            'apiKey.limits': 'Si alcanzas los límites de uso, puedes crear tu propia clave gratis.',
+            'apiKey.optional': 'Clave de API (opcional)',
+            'apiKey.required': 'Clave de API (obligatoria)',
+            'apiKey.providerRequired': 'Clave de API de {provider} (obligatoria)',
+            'apiKey.providerPlaceholder': 'Clave de API de {provider}',
+            'apiKey.proxyPlaceholder': 'Opcional al usar el proxy',
+            'apiKey.directPlaceholder': 'Obligatoria para el acceso directo a la API',
+            'apiKey.endpointPlaceholder': 'Solo si tu endpoint la necesita',
+            'proxy.label': 'Usar la API compartida (puede haber alcanzado el límite)',
+            'proxy.hint': 'Desmárcalo para usar la tuya',
+            'model.label': 'Elige el modelo:',
+            'model.hint': 'Flash-Thinking da respuestas más razonadas, pero puede ser más lento',
+            'endpoint.url': 'URL del endpoint:',
+            'endpoint.model': 'Nombre del modelo (opcional):',
+            'endpoint.modelPlaceholder': 'p. ej. llava, qwen2.5vl',
+            'endpoint.hintPrefix': 'Funciona cualquier endpoint',
+            'endpoint.hintSuffix': 'compatible con OpenAI y con soporte de imágenes. Si eliges uno, no se envía nada a Google.',
+            'language.label': 'Idioma de la respuesta:',
+            'language.auto': 'El de la pregunta',
+            'language.hint': 'Las imágenes se buscan en este idioma y en inglés, prefiriendo las rotuladas en este idioma.',
+            'mode.label': 'Formato:',
+            'mode.article': 'Artículo',
+            'mode.slides': 'Presentación',
+            'mode.quiz': 'Cuestionario',
+            'mode.flashcards': 'Tarjetas de estudio',
+            'mode.hint': 'Las presentaciones, cuestionarios y tarjetas usan las mismas imágenes que un artículo. Usa las flechas para pasar las diapositivas.',
+            'slides.label': 'Diapositivas',
+            'slides.previous': 'Anterior',
+            'slides.next': 'Siguiente',
+            'slides.fullscreen': 'Pantalla completa',
+            'slides.counter': '{current} / {total}',
+            'quiz.score': 'Puntuación: {correct} de {total}',
+            'flashcards.turn': 'Haz clic para dar la vuelta a la tarjeta',
+            'preset.label': 'Estilo de respuesta:',
+            'preset.standard': 'Estándar',
+            'preset.kids': 'Explicado para un niño de 10 años',
+            'preset.technical': 'Análisis técnico a fondo',
+            'preset.exam': 'Repaso para el examen',
+            'preset.edit': 'Editar estilos de respuesta',
+            'preset.name': 'Nombre:',
+            'preset.template': 'Instrucciones para el modelo:',
+            'preset.variables': 'Escribe {question} para la pregunta y {language} para el idioma de la respuesta. Los estilos incluidos no se pueden cambiar, pero sí guardar como un estilo nuevo.',
+            'preset.save': 'Guardar',
+            'preset.saveCopy': 'Guardar como nuevo',
+            'preset.delete': 'Eliminar',
+            'preset.export': 'Exportar',
+            'preset.import': 'Importar',
+            'preset.saved': 'Se guardó «{name}».',
+            'preset.deleted': 'Se eliminó «{name}».',
+            'preset.imported': 'Se importaron {count} estilos de respuesta.',
+            'preset.confirmDelete': '¿Eliminar el estilo de respuesta «{name}»?',
+            'preset.failed': '{action} falló: {message}',
+            'sources.label': 'Fuentes de imágenes:',
+            'sources.local': 'Catálogo local',
+            'sources.catalogHint': 'El catálogo local es un archivo JSON con tus propias imágenes, para que la aplicación funcione sin ningún servicio de imágenes externo.',
+            'licenses.label': 'Licencias de las imágenes:',
+            'licenses.any': 'Cualquier licencia',
+            'licenses.bySa': 'Dominio público, CC BY y CC BY-SA',
+            'licenses.by': 'Dominio público y CC BY',
+            'licenses.publicDomain': 'Solo dominio público y CC0',
+            'licenses.hint': 'Las imágenes con otras licencias se descartan antes de que el modelo las vea. Las imágenes cuya licencia no se reconoce solo se usan con «Cualquier licencia».',
+            'cache.title': 'Caché de imágenes',
+            'cache.loading': 'Cargando...',
+            'cache.clear': 'Vaciar caché',
+            'cache.hint': 'Las búsquedas, los detalles y las imágenes descargadas se guardan en este navegador hasta una semana, para que las preguntas repetidas y parecidas sean más rápidas.',
+            'cache.empty': 'La caché está vacía.',
+            'cache.stats': '{count} entradas, {size}: {kinds}',
+            'cache.unavailable': 'Caché no disponible: {message}',
+            'cache.kind.search': 'búsquedas',
+            'cache.kind.details': 'detalles de imágenes',
+            'cache.kind.image': 'imágenes',
+            'usage.title': 'Uso de tokens',
+            'usage.empty': 'Todavía no hay llamadas al modelo.',
+            'usage.budget': 'Presupuesto de tokens por pregunta:',
+            'usage.noLimit': 'Sin límite',
+            'usage.budgetMode': 'Si una solicitud lo superaría:',
+            'usage.capImages': 'Enviar menos imágenes',
+            'usage.block': 'No enviarla',
+            'usage.hint': 'El presupuesto de una pregunta cubre sus términos de búsqueda, la respuesta y la reparación de marcadores; cada pregunta de seguimiento tiene el suyo. Los costes son estimaciones según precios de lista, y los tokens de una solicitud se estiman antes de enviarla.',
+            'usage.totals': 'Esta sesión: {tokens} tokens ({prompt} de prompt, {output} de salida), {cost}',
+            'usage.totalsWithImages': 'Esta sesión: {tokens} tokens ({prompt} de prompt, {images} de ellos para imágenes, {output} de salida), {cost}',
+            'usage.questionTotals': '{tokens} tokens, {cost}',
+            'usage.cost': 'unos ${cost}',
+            'usage.unknownCost': 'coste desconocido',
+            'usage.followUp': 'Seguimiento: {question}',
+            'usage.call': 'Llamada',
+            'usage.model': 'Modelo',
+            'usage.prompt': 'Prompt',
+            'usage.images': 'Imágenes',
+            'usage.output': 'Salida',
+            'usage.costColumn': 'Coste',
+            'usage.step.searchTerms': 'Términos de búsqueda',
+            'usage.step.analysis': 'Respuesta',
+            'usage.step.followUp': 'Seguimiento',
+            'usage.step.placeholderRepair': 'Reparación de marcadores',
+            'trace.download': 'Descargar traza',
+            'trace.replay': 'Reproducir una traza',
+            'trace.hint': 'Una traza registra cada paso de la última pregunta con sus tiempos, sin claves de API ni datos de imágenes. Al reproducirla, la respuesta se muestra de nuevo sin ninguna solicitud.',
+            'trace.failed': 'Error de traza: {message}',
+            'loading': 'Procesando tu pregunta...',
+            'info.title': 'Cómo funciona',
+            'info.show': 'Mostrar',
+            'info.hide': 'Ocultar',
+            'info.searchTerms': 'Términos de búsqueda:',
+            'info.searchTermsText': 'Cuando haces una pregunta, la aplicación usa el modelo de IA seleccionado (Gemini por defecto) para generar términos de búsqueda relevantes.',
+            'info.retrieval': 'Búsqueda de imágenes:',
+            'info.retrievalText': 'Con estos términos se buscan imágenes relevantes en Wikimedia Commons y en las demás fuentes de imágenes que actives.',
+            'info.analysis': 'Análisis de imágenes:',
+            'info.analysisText': 'El modelo analiza las imágenes junto con tu pregunta para crear una respuesta visual.',
+            'info.response': 'Respuesta:',
+            'info.responseText': 'La IA redacta una respuesta que combina imágenes relevantes con texto explicativo.',
+            'info.privacy': 'Privacidad:',
+            'info.privacyText': 'Tu clave de API solo se usa para las llamadas a la API y no se guarda más allá de la sesión actual.',
+            'debug.log': 'Registro de depuración',
+            'debug.images': 'Imágenes encontradas',
+            'alert.question': 'Escribe una pregunta',
+            'alert.apiKey': 'Introduce tu clave de API de {provider}',
+            'alert.model': 'Introduce el nombre del modelo de tu endpoint',
+            'alert.sources': 'Selecciona al menos una fuente de imágenes o adjunta una imagen',
+            'alert.followUp': 'Escribe una pregunta de seguimiento',
+            'answer.title': 'Respuesta:',
+            'answer.share': 'Compartir esta respuesta',
+            'answer.sharing': 'Generando enlace...',
+            'answer.shareFailed': 'Error al compartir la respuesta: {message}',
+            'answer.copy': 'Copiar',
+            'answer.copied': '¡Enlace copiado al portapapeles!',
+            'answer.embed': 'Copiar código para insertar',
+            'answer.embedCopied': '¡Código para insertar copiado al portapapeles!',
+            'answer.exportMarkdown': 'Exportar Markdown',
+            'answer.exportHtml': 'Exportar HTML',
+            'answer.exporting': 'Exportando...',
+            'answer.exportFailed': 'Error al exportar la respuesta: {message}',
+            'answer.print': 'Imprimir / guardar como PDF',
+            'answer.expiry': 'Cuándo deja de funcionar el enlace',
+            'answer.expiryNever': 'El enlace no caduca',
+            'answer.expiry1': 'El enlace caduca en 1 día',
+            'answer.expiry7': 'El enlace caduca en 7 días',
+            'answer.expiry30': 'El enlace caduca en 30 días',
+            'answer.deleteToken': 'Token de borrado: {token}. Guárdalo para poder retirar el enlace más tarde.',
+            'answer.expires': 'El enlace caduca el {date}.',
+            'answer.selfContained': 'El enlace contiene la propia respuesta: no se guarda nada y no se puede retirar.',
+            'answer.deleteShare': 'Eliminar enlace',
+            'answer.confirmDeleteShare': '¿Eliminar este enlace? Dejará de funcionar.',
+            'answer.shareDeleted': 'El enlace se ha eliminado.',
+            'answer.deleteShareFailed': 'Error al eliminar el enlace: {message}',
+            'answer.userProvided': 'Imagen propia',
+            'answer.userImageNotShared': 'Una imagen adjuntada por quien preguntó, no incluida en los enlaces compartidos',
+            'answer.credits': 'Créditos de las imágenes',
+            'answer.creditsBy': 'de {author}',
+            'answer.creditsVia': 'vía {source}',
+            'followUp.placeholder': "Haz una pregunta de seguimiento, p. ej. 'ahora muéstrame el ventrículo izquierdo'",
+            'followUp.ask': 'Preguntar más',
+            'followUp.answering': 'Respondiendo...',
+            'followUp.thinking': 'Pensando...',
+            'followUp.heading': 'Pregunta de seguimiento: {question}',
+            'followUp.findingImages': 'Buscando más imágenes...',
+            'followUp.cancelled': 'Cancelada.',
+            'export.userImage': 'Imagen propia: {title} (no incluida en la exportación)',
+            'export.note': 'Exportado desde Wikimedia Image-Enhanced Q&A Tool el {date}',
+            'viewer.loading': 'Cargando el contenido compartido...',
+            'viewer.create': 'Crea tu propia respuesta',
+            'viewer.openFull': 'Abrir la respuesta completa',
+            'viewer.preset': 'Estilo de respuesta: {name}',
+            'viewer.clientError': 'Error al conectar con el almacenamiento de enlaces.',
+            'viewer.noId': 'No se indicó ningún ID. Revisa tu enlace.',
+            'viewer.notFound': 'El contenido compartido no existe o ha caducado.',
+            'viewer.loadFailed': 'Error al cargar el contenido compartido: {message}'
+        }
+    };
+
+    // Common short words of each language, for telling them apart in a question
+    const STOPWORDS = {
+        en: ['the', 'is', 'are', 'what', 'how', 'why', 'does', 'do', 'of', 'and', 'to', 'show', 'me', 'explain', 'which', 'with', 'work', 'about'],
+        de: ['der', 'die', 'das', 'ist', 'sind', 'und', 'wie', 'was', 'warum', 'ein', 'eine', 'einen', 'nicht', 'mit', 'zeig', 'zeige', 'mir', 'erkläre', 'erklär', 'funktioniert', 'den', 'dem', 'des', 'von', 'zu', 'welche', 'gibt', 'im'],
+        es: ['el', 'la', 'los', 'las', 'es', 'son', 'y', 'qué', 'que', 'cómo', 'como', 'por', 'para', 'un', 'una', 'del', 'muestra', 'muéstrame', 'explica', 'explícame', 'cuál', 'cuáles', 'funciona', 'se', 'de']
+    };
+
+    // Letters that only one of the languages uses
+    const LETTERS = {
+        de: /[äöüß]/g,
+        es: /[ñ¿¡áéíóú]/g
+    };
+
+    let locale = 'en';
+
+    // Fill in {name} parameters; missing strings fall back to English, then to the key.
+    // Parameters go in as they are: callers escape the result (or the parameters, if the
+    // string is to hold markup) before it goes into innerHTML.
+    const t = (key, params = {}) => {
+        const template = STRINGS[locale][key] || STRINGS.en[key] || key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    };
+
+    const ATTRIBUTES = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+
+    // Translate the marked elements of the page (or of root)
+    const apply = (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+
+        Object.entries(ATTRIBUTES).forEach(([dataKey, attribute]) => {
+            const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, t(element.dataset[dataKey]));
+            });
+        });
+    };
+
+    // The first supported language of ?lang= and the browser's preferences
+    const getPreferredLocale = () => {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            ...(navigator.languages || [navigator.language])
+        ];
+        const supported = candidates
+            .filter(Boolean)
+            .map(candidate => candidate.toLowerCase().split('-')[0])
+            .find(code => code in STRINGS);
+        return supported || 'en';
+    };
+
+    const setLocale = (code) => {
+        locale = code in STRINGS ? code : 'en';
+        document.documentElement.lang = locale;
+        apply();
+    };
+
+    const getLocale = () => locale;
+
+    // Guess the language of a question from its short words and letters. Returns null
+    // when it is none of LANGUAGES or too short to tell, so the model decides.
+    const detectLanguage = (text) => {
+        const lowerText = text.toLowerCase();
+        const words = lowerText.split(/[^\p{L}]+/u).filter(Boolean);
+
+        const scores = Object.entries(STOPWORDS).map(([code, stopwords]) => {
+            const letterMatches = LETTERS[code] ? (lowerText.match(LETTERS[code]) || []).length : 0;
+            return { code, score: words.filter(word => stopwords.includes(word)).length + letterMatches };
+        }).sort((a, b) => b.score - a.score);
+
+        return scores[0].score > 0 && scores[0].score > scores[1].score ? scores[0].code : null;
+    };
+
+    // How prompts refer to a language; null means whatever the question is written in
+    const getLanguageName = (code) => (LANGUAGES[code] ? LANGUAGES[code].name : null);
+
+    return { LANGUAGES, t, apply, getPreferredLocale, setLocale, getLocale, detectLanguage, getLanguageName };
+})();
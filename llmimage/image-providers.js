@@ -0,0 +1,545 @@
+// WikimediaAPI Module - Handles interactions with Wikimedia API
+const WikimediaAPI = (() => {
+    // MediaWiki API etiquette: browsers may not set User-Agent, so clients identify
+    // themselves with Api-User-Agent, and maxlag lets busy servers ask us to back off
+    const API_USER_AGENT = 'LLMImage/1.0 (https://llm.jonathanpagel.com/)';
+    const MAX_LAG = 5; // seconds
+    
+    const fetchApi = (apiUrl, signal) => RequestScheduler.fetch(`${apiUrl}&maxlag=${MAX_LAG}`, {
+        headers: { 'Api-User-Agent': API_USER_AGENT },
+        signal
+    });
+    
+    // Width of the thumbnails sent to the model; the answer still shows the original
+    const THUMBNAIL_WIDTH = 1024;
+    
+    // File types each search intent looks for unless the term names one
+    const INTENT_FILE_TYPES = {
+        diagram: 'drawing',
+        chart: 'drawing',
+        photo: 'bitmap',
+        map: 'bitmap|drawing'
+    };
+
+    // Turn a structured search term into a CirrusSearch query with filetype:/incategory: modifiers
+    const buildSearchQuery = ({ term, intent, fileType, category }, withCategory) => {
+        const fileTypes = fileType && fileType !== 'any'
+            ? fileType
+            : INTENT_FILE_TYPES[intent] || 'bitmap|drawing';
+        
+        // GIFs are always excluded in favour of higher quality images
+        const modifiers = [`filetype:${fileTypes}`, '-filetype:gif'];
+        if (category && withCategory) {
+            modifiers.push(`incategory:"${category.replace(/^Category:/i, '').replace(/"/g, '')}"`);
+        }
+        
+        return `${term} ${modifiers.join(' ')}`;
+    };
+
+    // Search Wikimedia for images
+    const searchImages = async (searchTerm, signal = null, withCategory = true) => {
+        const query = buildSearchQuery(searchTerm, withCategory);
+        Logger.log(`Searching Wikimedia for: ${query}`);
+        
+        const apiUrl = `https://commons.wikimedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srnamespace=6&format=json&origin=*&srlimit=3`;
+        
+        try {
+            const results = await ResponseCache.getOrLoad('search', query, async () => {
+                const response = await fetchApi(apiUrl, signal);
+                if (!response.ok) {
+                    throw new Error(`Wikimedia API error: ${response.status}`);
+                }
+                
+                const data = await response.json();
+                return data.query.search;
+            });
+            Logger.log(`Received ${results.length} results for "${searchTerm.term}"`);
+            
+            // A guessed category may not exist or be too narrow, so retry without it
+            if (results.length === 0 && searchTerm.category && withCategory) {
+                Logger.log(`No results in category "${searchTerm.category}", retrying without it`);
+                return searchImages(searchTerm, signal, false);
+            }
+            
+            return results.map(result => ({
+                title: result.title,
+                pageId: result.pageid,
+                language: searchTerm.language
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error searching Wikimedia: ${error.message}`);
+            return [];
+        }
+    };
+
+    // Get image details from Wikimedia, with descriptions in the preferred language if available.
+    // Commons also renders a thumbnail at THUMBNAIL_WIDTH (as PNG for SVGs, and of the first page
+    // for PDF/DjVu), which is what gets downloaded for the model instead of the often
+    // multi-megabyte original, in a format the models accept even if the original is not.
+    const fetchImageDetails = async (imageTitle, language, signal) => {
+        Logger.log(`Getting details for image: ${imageTitle}`);
+        
+        const encodedTitle = encodeURIComponent(imageTitle);
+        const languageParam = language ? `&iiextmetadatalanguage=${encodeURIComponent(language)}` : '';
+        const apiUrl = `https://commons.wikimedia.org/w/api.php?action=query&titles=${encodedTitle}&prop=imageinfo&iiprop=url|size|mime|thumbmime|extmetadata&iiurlwidth=${THUMBNAIL_WIDTH}${languageParam}&format=json&origin=*`;
+        
+        try {
+            const response = await fetchApi(apiUrl, signal);
+            if (!response.ok) {
+                throw new Error(`Wikimedia API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const pages = data.query.pages;
+            const pageId = Object.keys(pages)[0];
+            
+            if (pageId === '-1') {
+                throw new Error('Image not found');
+            }
+            
+            const imageInfo = pages[pageId].imageinfo[0];
+            const metadata = imageInfo.extmetadata;
+            
+            // Get alt text (try different metadata fields that might contain descriptions)
+            let altText = '';
+            if (metadata.ImageDescription && metadata.ImageDescription.value) {
+                altText = metadata.ImageDescription.value.replace(/<.*?>/g, ''); // Remove HTML tags
+            } else if (metadata.ObjectName && metadata.ObjectName.value) {
+                altText = metadata.ObjectName.value;
+            } else if (metadata.Categories && metadata.Categories.value) {
+                altText = metadata.Categories.value.replace(/<.*?>/g, '');
+            } else {
+                altText = imageTitle.replace('File:', '');
+            }
+            
+            // Clean up alt text (limit length)
+            altText = altText.trim().substring(0, 200);
+            if (altText.length === 200) altText += '...';
+            
+            // Get license information
+            let licenseInfo = 'Unknown license';
+            if (metadata.LicenseShortName && metadata.LicenseShortName.value) {
+                licenseInfo = metadata.LicenseShortName.value.replace(/<.*?>/g, ''); // Remove HTML tags
+            } else if (metadata.License && metadata.License.value) {
+                licenseInfo = metadata.License.value.replace(/<.*?>/g, '');
+            }
+            
+            // Get attribution info (if available)
+            let attribution = '';
+            let attributionUrl = null;
+            if (metadata.Artist && metadata.Artist.value) {
+                attribution = metadata.Artist.value.replace(/<.*?>/g, ''); // Remove HTML tags
+                
+                // Artists are often linked to their user page, as a protocol-relative URL
+                const artistLink = metadata.Artist.value.match(/href="([^"]+)"/);
+                if (artistLink) {
+                    attributionUrl = new URL(artistLink[1].replace(/&amp;/g, '&'), 'https://commons.wikimedia.org/').href;
+                }
+            }
+            
+            return {
+                url: imageInfo.url,
+                // Commons returns the original itself for images narrower than THUMBNAIL_WIDTH
+                thumbnailUrl: imageInfo.thumburl || imageInfo.url,
+                mimeType: imageInfo.thumburl ? imageInfo.thumbmime : imageInfo.mime,
+                altText,
+                title: imageTitle.replace('File:', ''),
+                license: licenseInfo,
+                licenseUrl: metadata.LicenseUrl ? metadata.LicenseUrl.value : null,
+                attribution,
+                attributionUrl,
+                source: 'Wikimedia Commons',
+                sourceUrl: imageInfo.descriptionurl
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error getting image details: ${error.message}`);
+            return null;
+        }
+    };
+    
+    // Details are cached per title and language; failed lookups are not
+    const getImageDetails = (imageTitle, language = null, signal = null) => ResponseCache.getOrLoad(
+        'details',
+        `${imageTitle}|${language || ''}`,
+        () => fetchImageDetails(imageTitle, language, signal)
+    );
+
+    return { searchImages, getImageDetails };
+})();
+
+// OpenverseAPI Module - Openly licensed images aggregated by Openverse
+const OpenverseAPI = (() => {
+    // Openverse reports licenses as short codes, e.g. "by-sa" and "4.0"
+    const formatLicense = (license, version) => {
+        if (license === 'cc0') return 'CC0';
+        if (license === 'pdm') return 'Public Domain Mark';
+        return `CC ${license.toUpperCase()} ${version || ''}`.trim();
+    };
+
+    // Openverse categories closest to each search intent
+    const INTENT_CATEGORIES = {
+        diagram: 'illustration',
+        chart: 'illustration',
+        photo: 'photograph'
+    };
+
+    // Openverse links to files on hosts of all kinds, which the shared viewer does not load.
+    // Those are shown through Openverse's thumbnail service instead, so an answer looks the
+    // same in the app and wherever it is shared.
+    const getDisplayUrl = (result) => {
+        try {
+            const url = new URL(result.url);
+            if (url.protocol === 'https:' && Sanitizer.isAllowedImageHost(url.hostname)) {
+                return result.url;
+            }
+        } catch (error) {
+            // Not a valid URL, use the thumbnail
+        }
+        return result.thumbnail || result.url;
+    };
+
+    // Search results already carry everything we need, so details come straight from them
+    const searchImages = async ({ term, intent }, signal = null) => {
+        Logger.log(`Searching Openverse for: ${term}`);
+        
+        const categoryParam = INTENT_CATEGORIES[intent] ? `&category=${INTENT_CATEGORIES[intent]}` : '';
+        const apiUrl = `https://api.openverse.org/v1/images/?q=${encodeURIComponent(term)}${categoryParam}&page_size=3`;
+        
+        try {
+            const response = await RequestScheduler.fetch(apiUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`Openverse API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            Logger.log(`Received ${data.results.length} results for "${term}"`);
+            
+            return data.results.map(result => ({
+                title: result.title || result.id,
+                details: {
+                    url: getDisplayUrl(result),
+                    thumbnailUrl: result.thumbnail || result.url,
+                    altText: (result.title || '').substring(0, 200),
+                    title: result.title || result.id,
+                    license: formatLicense(result.license, result.license_version),
+                    licenseUrl: result.license_url || null,
+                    attribution: result.creator || '',
+                    attributionUrl: result.creator_url || null,
+                    source: 'Openverse',
+                    sourceUrl: result.foreign_landing_url
+                }
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error searching Openverse: ${error.message}`);
+            return [];
+        }
+    };
+
+    const getImageDetails = async (result) => result.details;
+
+    return { searchImages, getImageDetails };
+})();
+
+// NasaImagesAPI Module - Public domain imagery from the NASA Image and Video Library
+const NasaImagesAPI = (() => {
+    const searchImages = async ({ term }, signal = null) => {
+        Logger.log(`Searching NASA Images for: ${term}`);
+        
+        const apiUrl = `https://images-api.nasa.gov/search?q=${encodeURIComponent(term)}&media_type=image&page_size=3`;
+        
+        try {
+            const response = await RequestScheduler.fetch(apiUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`NASA Images API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const items = data.collection.items.slice(0, 3);
+            Logger.log(`Received ${items.length} results for "${term}"`);
+            
+            return items.map(item => ({
+                title: item.data[0].title,
+                nasaId: item.data[0].nasa_id,
+                data: item.data[0]
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error searching NASA Images: ${error.message}`);
+            return [];
+        }
+    };
+
+    // The asset manifest lists every rendition; the medium one is plenty for the model,
+    // the answer shows the largest
+    const getImageDetails = async (result, signal = null) => {
+        Logger.log(`Getting details for NASA image: ${result.nasaId}`);
+        
+        const apiUrl = `https://images-api.nasa.gov/asset/${encodeURIComponent(result.nasaId)}`;
+        
+        try {
+            const response = await RequestScheduler.fetch(apiUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`NASA Images API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const hrefs = data.collection.items.map(item => item.href.replace(/^http:/, 'https:'));
+            const findRendition = (suffixes) => suffixes
+                .map(suffix => hrefs.find(href => href.endsWith(suffix)))
+                .find(Boolean) || hrefs.find(href => /\.(jpe?g|png)$/i.test(href));
+            const url = findRendition(['~orig.jpg', '~large.jpg', '~medium.jpg']);
+            
+            if (!url) {
+                throw new Error('No usable image rendition');
+            }
+            
+            const description = (result.data.description || result.data.title).replace(/<.*?>/g, '');
+            
+            return {
+                url,
+                thumbnailUrl: findRendition(['~medium.jpg', '~large.jpg', '~orig.jpg']),
+                altText: description.trim().substring(0, 200),
+                title: result.data.title,
+                license: 'Public domain (NASA)',
+                licenseUrl: 'https://www.nasa.gov/nasa-brand-center/images-and-media/',
+                attribution: result.data.photographer || result.data.secondary_creator || result.data.center || 'NASA',
+                source: 'NASA Images',
+                sourceUrl: `https://images.nasa.gov/details/${encodeURIComponent(result.nasaId)}`
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error getting NASA image details: ${error.message}`);
+            return null;
+        }
+    };
+
+    return { searchImages, getImageDetails };
+})();
+
+// MetMuseumAPI Module - The Met's Open Access collection
+const MetMuseumAPI = (() => {
+    const API_URL = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    const searchImages = async ({ term }, signal = null) => {
+        Logger.log(`Searching The Met for: ${term}`);
+        
+        const apiUrl = `${API_URL}/search?hasImages=true&q=${encodeURIComponent(term)}`;
+        
+        try {
+            const response = await RequestScheduler.fetch(apiUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`Met API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const objectIds = (data.objectIDs || []).slice(0, 3);
+            Logger.log(`Received ${objectIds.length} results for "${term}"`);
+            
+            return objectIds.map(objectId => ({
+                title: `Met object ${objectId}`,
+                objectId
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error searching The Met: ${error.message}`);
+            return [];
+        }
+    };
+
+    const getImageDetails = async (result, signal = null) => {
+        Logger.log(`Getting details for Met object: ${result.objectId}`);
+        
+        try {
+            const response = await RequestScheduler.fetch(`${API_URL}/objects/${result.objectId}`, { signal });
+            if (!response.ok) {
+                throw new Error(`Met API error: ${response.status}`);
+            }
+            
+            const object = await response.json();
+            
+            // Only Open Access (public domain) objects may be reused
+            if (!object.isPublicDomain || !(object.primaryImageSmall || object.primaryImage)) {
+                throw new Error('Object is not in the Open Access collection');
+            }
+            
+            const altText = [object.title, object.objectDate, object.medium]
+                .filter(Boolean)
+                .join(', ');
+            
+            return {
+                url: object.primaryImage || object.primaryImageSmall,
+                thumbnailUrl: object.primaryImageSmall || object.primaryImage,
+                altText: altText.substring(0, 200),
+                title: object.title,
+                license: 'CC0 (Met Open Access)',
+                licenseUrl: 'https://creativecommons.org/publicdomain/zero/1.0/',
+                attribution: object.artistDisplayName || '',
+                source: 'The Metropolitan Museum of Art',
+                sourceUrl: object.objectURL
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error getting Met object details: ${error.message}`);
+            return null;
+        }
+    };
+
+    return { searchImages, getImageDetails };
+})();
+
+// LocalCatalogAPI Module - Searches our own image library described by a JSON catalog
+//
+// The catalog is a JSON file like:
+//   { "images": [{ "url": "images/heart.png", "title": "...", "description": "...",
+//                  "tags": ["..."], "license": "...", "attribution": "..." }] }
+// Relative image URLs are resolved against the catalog's own URL. Entries may also
+// have licenseUrl, attributionUrl and sourceUrl links for the image credits.
+const LocalCatalogAPI = (() => {
+    let catalogUrl = 'catalog.json';
+    let catalogPromise = null;
+
+    const setCatalogUrl = (url) => {
+        if (url === catalogUrl) return;
+        catalogUrl = url;
+        catalogPromise = null; // Reload on next search
+        Logger.log(`Local catalog set to: ${catalogUrl}`);
+    };
+
+    const loadCatalog = () => {
+        if (!catalogPromise) {
+            const resolvedUrl = new URL(catalogUrl, window.location.href).href;
+            Logger.log(`Loading local image catalog: ${resolvedUrl}`);
+            
+            catalogPromise = RequestScheduler.fetch(resolvedUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Catalog error: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => (data.images || []).map(entry => ({
+                    ...entry,
+                    url: new URL(entry.url, resolvedUrl).href
+                })))
+                .catch(error => {
+                    catalogPromise = null; // Allow a retry once the catalog is fixed
+                    throw error;
+                });
+        }
+        return catalogPromise;
+    };
+
+    // Rank entries by how many words of the search term appear in their text
+    const searchImages = async ({ term }) => {
+        Logger.log(`Searching local catalog for: ${term}`);
+        
+        try {
+            const entries = await loadCatalog();
+            const words = term.toLowerCase().split(/\W+/).filter(word => word.length > 1);
+            
+            const results = entries
+                .map(entry => {
+                    const text = [entry.title, entry.description, ...(entry.tags || [])].join(' ').toLowerCase();
+                    return { entry, score: words.filter(word => text.includes(word)).length };
+                })
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 3);
+            
+            Logger.log(`Received ${results.length} results for "${term}"`);
+            
+            return results.map(({ entry }) => ({
+                title: entry.title || entry.url,
+                entry
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            Logger.log(`Error searching local catalog: ${error.message}`);
+            return [];
+        }
+    };
+
+    const getImageDetails = async ({ entry }) => ({
+        url: entry.url,
+        altText: (entry.description || entry.title || '').substring(0, 200),
+        title: entry.title || entry.url.split('/').pop(),
+        license: entry.license || 'Unknown license',
+        licenseUrl: entry.licenseUrl || null,
+        attribution: entry.attribution || '',
+        attributionUrl: entry.attributionUrl || null,
+        source: entry.source || 'Local library',
+        sourceUrl: entry.sourceUrl || entry.url
+    });
+
+    return { searchImages, getImageDetails, setCatalogUrl };
+})();
+
+// ImageProviders Module - Registry of image sources behind a common interface
+//
+// Every provider has searchImages(searchTerm, signal) -> [result] and
+// getImageDetails(result, signal) -> { url, altText, title, license, attribution,
+// source, sourceUrl } (or null), where signal is an optional AbortSignal, plus an
+// optional thumbnailUrl of a smaller rendition to download for the model instead of url
+// and an optional mimeType of the file that is downloaded (thumbnailUrl if set).
+// Failed searches and lookups give [] and null, cancelled ones reject with the AbortError.
+// Optional licenseUrl and attributionUrl link the license text and the author's page.
+// Search terms are structured: { term, intent, fileType, language, category }, where
+// everything but term is an optional hint each provider uses as far as it can.
+const ImageProviders = (() => {
+    const providers = {
+        wikimedia: {
+            id: 'wikimedia',
+            label: 'Wikimedia Commons',
+            searchImages: (searchTerm, signal) => WikimediaAPI.searchImages(searchTerm, signal),
+            getImageDetails: (result, signal) => WikimediaAPI.getImageDetails(result.title, result.language, signal)
+        },
+        openverse: { id: 'openverse', label: 'Openverse', ...OpenverseAPI },
+        nasa: { id: 'nasa', label: 'NASA Images', ...NasaImagesAPI },
+        met: { id: 'met', label: 'The Met', ...MetMuseumAPI },
+        local: { id: 'local', label: 'Local catalog', ...LocalCatalogAPI }
+    };
+
+    const get = (providerId) => {
+        const provider = providers[providerId];
+        if (!provider) {
+            throw new Error(`Unknown image source: ${providerId}`);
+        }
+        return provider;
+    };
+
+    // Search every enabled source for every term, interleaving the sources so
+    // that a result limit does not cut off all but the first one; each search goes into trace
+    const searchAll = async (searchTerms, providerIds, signal = null, trace = PipelineTrace.NONE) => {
+        // Plain strings are accepted as terms without any hints
+        searchTerms = searchTerms.map(searchTerm => typeof searchTerm === 'string' ? { term: searchTerm } : searchTerm);
+        
+        const resultsByProvider = await Promise.all(providerIds.map(async (providerId) => {
+            const provider = get(providerId);
+            const termResults = await Promise.all(searchTerms.map(term => trace.time(
+                'search',
+                { source: providerId, term: term.term },
+                () => provider.searchImages(term, signal),
+                results => ({ results: results.map(result => result.title) })
+            )));
+            return termResults.flat().map(result => ({ ...result, provider: providerId }));
+        }));
+        
+        const merged = [];
+        const longest = Math.max(0, ...resultsByProvider.map(results => results.length));
+        for (let i = 0; i < longest; i++) {
+            resultsByProvider.forEach(results => {
+                if (results[i]) merged.push(results[i]);
+            });
+        }
+        return merged;
+    };
+
+    const getImageDetails = (result, signal = null) => get(result.provider).getImageDetails(result, signal);
+
+    const getLabels = (providerIds) => providerIds.map(providerId => get(providerId).label).join(', ');
+
+    return { get, searchAll, getImageDetails, getLabels };
+})();
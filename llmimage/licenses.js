@@ -0,0 +1,70 @@
+// ImageLicenses Module - License policy and Title-Author-Source-License attribution
+//
+// Image sources describe licenses in their own words ("CC BY-SA 4.0", "Public domain",
+// "CC0 (Met Open Access)"), so they are sorted into a few classes the policy setting
+// works with. Licenses that cannot be recognized only pass the "any license" policy.
+const ImageLicenses = (() => {
+    // Classes of license each policy lets through; null allows everything
+    const POLICIES = {
+        any: null,
+        'by-sa': ['public-domain', 'by', 'by-sa'],
+        by: ['public-domain', 'by'],
+        'public-domain': ['public-domain']
+    };
+
+    const DEFAULT_POLICY = 'any';
+
+    // Spaces and underscores become dashes, so "CC BY-SA" and "cc-by-sa" read alike
+    const normalize = (license) => String(license || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+
+    // One of 'public-domain', 'by', 'by-sa', 'restricted' (NC/ND) or 'unknown'
+    const classify = (license) => {
+        const text = normalize(license);
+
+        if (/(^|-)(nc|nd)(-|$)|non-?commercial|no-?deriv/.test(text)) return 'restricted';
+        if (/public-domain|(^|-)(pd|pdm|cc0|cc-zero)(-|$)/.test(text)) return 'public-domain';
+        if (/(^|-)by-sa(-|$)/.test(text)) return 'by-sa';
+        if (/(^|-)cc-by(-|$)|^attribution$/.test(text)) return 'by';
+        return 'unknown';
+    };
+
+    const isAllowed = (license, policy = DEFAULT_POLICY) => {
+        if (!(policy in POLICIES)) {
+            throw new Error(`Unknown license policy: ${policy}`);
+        }
+
+        const allowed = POLICIES[policy];
+        return !allowed || allowed.includes(classify(license));
+    };
+
+    // Creative Commons deed for a license name, for sources that do not link one
+    const getLicenseUrl = (license) => {
+        const text = normalize(license);
+
+        if (/(^|-)(cc0|cc-zero)(-|$)/.test(text)) return 'https://creativecommons.org/publicdomain/zero/1.0/';
+        if (/(^|-)pdm(-|$)|public-domain-mark/.test(text)) return 'https://creativecommons.org/publicdomain/mark/1.0/';
+
+        const match = text.match(/(^|-)cc-(by(?:-(?:nc|nd|sa))*)-(\d\.\d)/);
+        return match ? `https://creativecommons.org/licenses/${match[2]}/${match[3]}/` : null;
+    };
+
+    // Title, author, source and license of an image as plain text, with links where known.
+    // title is what the image is called at its source, not the name the model refers to.
+    const getAttribution = (img) => {
+        const plainText = (value) => Sanitizer.toPlainText(value || '').replace(/\s+/g, ' ').trim();
+        const license = plainText(img.license);
+        const hasLicense = license && license !== 'Unknown license';
+
+        return {
+            title: plainText(img.displayTitle || img.title),
+            titleUrl: img.sourceUrl || null,
+            author: plainText(img.attribution),
+            authorUrl: img.attributionUrl || null,
+            source: plainText(img.source),
+            license: hasLicense ? license : '',
+            licenseUrl: hasLicense ? img.licenseUrl || getLicenseUrl(license) : null
+        };
+    };
+
+    return { DEFAULT_POLICY, classify, isAllowed, getLicenseUrl, getAttribution };
+})();
@@ -0,0 +1,259 @@
+// OutputModes Module - Slide decks, quizzes and flashcards made from the model's markdown
+//
+// In these modes the model writes one section per slide, question or card, each
+// starting with a "## " heading (see PROMPTS.OUTPUT_FORMATS). render() lays the
+// sections out as HTML that shows everything at once, which is what exports and
+// print get. activate() then makes the layouts on a page interactive: one slide at
+// a time with keyboard navigation and fullscreen, quiz answers checked as they are
+// picked, and cards that turn over. Text before the first heading, such as a
+// follow-up answered in prose, is shown as it is.
+const OutputModes = (() => {
+    const MODES = ['article', 'slides', 'quiz', 'flashcards'];
+    const DEFAULT_MODE = 'article';
+
+    // Shared by the app, the viewer and exported files; the rules under .interactive
+    // only apply once activate() has run
+    const STYLES = `
+        .slide { border: 1px solid #ddd; border-radius: 8px; padding: 20px 30px; margin: 20px 0; background-color: #fff; break-inside: avoid; }
+        .slide figure img { display: block; width: auto !important; max-width: 100%; max-height: 50vh; margin: 0 auto; }
+        .slide-deck.interactive { outline: none; }
+        .slide-deck.interactive .slide { display: none; min-height: 300px; margin-bottom: 10px; }
+        .slide-deck.interactive .slide.active { display: block; }
+        .slide-deck:fullscreen { display: flex; flex-direction: column; padding: 30px; background-color: #fff; overflow: auto; }
+        .slide-deck:fullscreen .slide.active { flex: 1; border: none; font-size: 1.4em; }
+        .slide-deck:fullscreen .slide figure img { max-height: 60vh; }
+        .slide-controls { display: flex; align-items: center; justify-content: center; gap: 10px; }
+        .slide-controls button { padding: 5px 12px; border: 1px solid #ccc; border-radius: 3px; background-color: #fff; cursor: pointer; }
+        .quiz-question { border: 1px solid #ddd; border-radius: 8px; padding: 15px 20px; margin: 20px 0; break-inside: avoid; }
+        .quiz-options { list-style: upper-alpha; padding-left: 25px; }
+        .quiz-option { padding: 6px 10px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; }
+        .quiz-correct { border-color: #34a853; background-color: #e6f4ea; }
+        .quiz-explanation { margin-top: 10px; color: #444; font-style: italic; }
+        .quiz.interactive .quiz-question:not(.answered) .quiz-option { cursor: pointer; }
+        .quiz.interactive .quiz-question:not(.answered) .quiz-option:hover { background-color: #f0f8ff; }
+        .quiz.interactive .quiz-question:not(.answered) .quiz-correct { border-color: #ddd; background-color: transparent; }
+        .quiz.interactive .quiz-question:not(.answered) .quiz-explanation { display: none; }
+        .quiz.interactive .quiz-option.chosen:not(.quiz-correct) { border-color: #d93025; background-color: #fce8e6; }
+        .quiz-score { font-weight: bold; }
+        .flashcards { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 15px; margin: 20px 0; }
+        .flashcard { border: 1px solid #ddd; border-radius: 8px; padding: 15px; background-color: #fff; box-shadow: 0 2px 6px rgba(0,0,0,0.08); break-inside: avoid; }
+        .flashcard-front { font-weight: bold; margin-bottom: 10px; }
+        .flashcard figure { margin: 10px 0 !important; }
+        .flashcards.interactive .flashcard { min-height: 120px; cursor: pointer; }
+        .flashcards.interactive .flashcard:not(.flipped) { display: flex; align-items: center; justify-content: center; text-align: center; }
+        .flashcards.interactive .flashcard:not(.flipped) .flashcard-back { display: none; }
+        .flashcards.interactive .flashcard.flipped { background-color: #f8fbff; }
+        @media print {
+            .slide-deck.interactive .slide { display: block !important; }
+            .slide-controls, .quiz-score { display: none !important; }
+        }
+    `;
+
+    const getLabel = (mode) => I18n.t(`mode.${mode}`);
+
+    // Split markdown at its level-2 headings into the text before them and { title, body } sections
+    const splitSections = (markdown) => {
+        const [intro, ...parts] = markdown.split(/^## /m);
+        return {
+            intro,
+            sections: parts.map(part => {
+                const lineEnd = part.indexOf('\n');
+                return lineEnd === -1
+                    ? { title: part.trim(), body: '' }
+                    : { title: part.substring(0, lineEnd).trim(), body: part.substring(lineEnd + 1) };
+            })
+        };
+    };
+
+    // Take a quiz question's options ("- [ ] ..." and "- [x] ...") and explanation ("> ...")
+    // out of its body; what is left is the question's own text and image
+    const parseQuestion = (body) => {
+        const options = [];
+        const explanation = [];
+        const rest = [];
+
+        body.split('\n').forEach(line => {
+            const option = line.match(/^\s*[-*+] \[([ xX])\]\s+(.*)$/);
+            if (option) {
+                options.push({ text: option[2], correct: option[1] !== ' ' });
+            } else if (/^\s*>/.test(line)) {
+                explanation.push(line.replace(/^\s*>\s?/, ''));
+            } else {
+                rest.push(line);
+            }
+        });
+
+        return { options, explanation: explanation.join('\n'), rest: rest.join('\n') };
+    };
+
+    const renderers = {
+        slides: (sections) => `<div class="slide-deck">${sections.map(({ title, body }) =>
+            `<div class="slide"><h2>${marked.parseInline(title)}</h2>${marked.parse(body)}</div>`
+        ).join('')}</div>`,
+
+        quiz: (sections) => `<div class="quiz">${sections.map(({ title, body }) => {
+            const { options, explanation, rest } = parseQuestion(body);
+            const optionsHtml = options.map(({ text, correct }) =>
+                `<li class="quiz-option${correct ? ' quiz-correct' : ''}">${marked.parseInline(text)}</li>`
+            ).join('');
+
+            return `<div class="quiz-question"><h3>${marked.parseInline(title)}</h3>${marked.parse(rest)}` +
+                `<ul class="quiz-options">${optionsHtml}</ul>` +
+                (explanation ? `<div class="quiz-explanation">${marked.parse(explanation)}</div>` : '') +
+                '</div>';
+        }).join('')}</div>`,
+
+        flashcards: (sections) => `<div class="flashcards">${sections.map(({ title, body }) =>
+            `<div class="flashcard"><div class="flashcard-front">${marked.parseInline(title)}</div>` +
+            `<div class="flashcard-back">${marked.parse(body)}</div></div>`
+        ).join('')}</div>`
+    };
+
+    // HTML for markdown whose image placeholders are already replaced; the caller sanitizes it
+    const render = (mode, markdown) => {
+        const { intro, sections } = splitSections(markdown);
+        if (!renderers[mode] || sections.length === 0) {
+            return marked.parse(markdown);
+        }
+        return marked.parse(intro) + renderers[mode](sections);
+    };
+
+    const addStyles = () => {
+        if (document.getElementById('output-mode-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'output-mode-styles';
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    };
+
+    // Clickable and usable with Enter and Space; links inside keep working as links
+    const makeActivatable = (element, action) => {
+        element.tabIndex = 0;
+        element.setAttribute('role', 'button');
+        element.addEventListener('click', (e) => {
+            if (!e.target.closest('a')) action();
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.target === element && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                action();
+            }
+        });
+    };
+
+    const createButton = (label, action) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', action);
+        return button;
+    };
+
+    const activateSlideDeck = (deck) => {
+        const slides = Array.from(deck.querySelectorAll(':scope > .slide'));
+        let current = 0;
+
+        const counter = document.createElement('span');
+        const previousBtn = createButton(I18n.t('slides.previous'), () => show(current - 1));
+        const nextBtn = createButton(I18n.t('slides.next'), () => show(current + 1));
+        const fullscreenBtn = createButton(I18n.t('slides.fullscreen'), () => toggleFullscreen());
+
+        const show = (index) => {
+            current = Math.max(0, Math.min(slides.length - 1, index));
+            slides.forEach((slide, i) => slide.classList.toggle('active', i === current));
+            counter.textContent = I18n.t('slides.counter', { current: current + 1, total: slides.length });
+            previousBtn.disabled = current === 0;
+            nextBtn.disabled = current === slides.length - 1;
+        };
+
+        // The deck takes the focus in fullscreen, so the arrow keys keep working there
+        const toggleFullscreen = () => {
+            if (document.fullscreenElement === deck) {
+                document.exitFullscreen();
+            } else if (deck.requestFullscreen) {
+                deck.requestFullscreen().then(() => deck.focus()).catch(() => {});
+            }
+        };
+
+        const keyActions = {
+            ArrowRight: () => show(current + 1),
+            ArrowDown: () => show(current + 1),
+            PageDown: () => show(current + 1),
+            ' ': () => show(current + 1),
+            ArrowLeft: () => show(current - 1),
+            ArrowUp: () => show(current - 1),
+            PageUp: () => show(current - 1),
+            Home: () => show(0),
+            End: () => show(slides.length - 1),
+            f: toggleFullscreen
+        };
+
+        deck.tabIndex = 0;
+        deck.setAttribute('aria-label', I18n.t('slides.label'));
+        deck.addEventListener('keydown', (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey || !keyActions[e.key]) {
+                return;
+            }
+            e.preventDefault();
+            keyActions[e.key]();
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'slide-controls';
+        controls.append(previousBtn, counter, nextBtn, fullscreenBtn);
+        deck.appendChild(controls);
+
+        deck.classList.add('interactive');
+        show(0);
+    };
+
+    // Each question can be answered once; the correct option and explanation show afterwards
+    const activateQuiz = (quiz) => {
+        const questions = Array.from(quiz.querySelectorAll('.quiz-question'));
+
+        const score = document.createElement('p');
+        score.className = 'quiz-score';
+        const updateScore = () => {
+            const correct = questions.filter(question => question.querySelector('.quiz-option.chosen.quiz-correct'));
+            score.textContent = I18n.t('quiz.score', { correct: correct.length, total: questions.length });
+        };
+
+        questions.forEach(question => {
+            question.querySelectorAll('.quiz-option').forEach(option => {
+                makeActivatable(option, () => {
+                    if (question.classList.contains('answered')) {
+                        return;
+                    }
+                    option.classList.add('chosen');
+                    question.classList.add('answered');
+                    updateScore();
+                });
+            });
+        });
+
+        quiz.appendChild(score);
+        quiz.classList.add('interactive');
+        updateScore();
+    };
+
+    const activateFlashcards = (cards) => {
+        cards.querySelectorAll('.flashcard').forEach(card => {
+            card.title = I18n.t('flashcards.turn');
+            makeActivatable(card, () => card.classList.toggle('flipped'));
+        });
+        cards.classList.add('interactive');
+    };
+
+    // Make the slide decks, quizzes and flashcards in a container interactive, once each
+    const activate = (container) => {
+        addStyles();
+        container.querySelectorAll('.slide-deck:not(.interactive)').forEach(activateSlideDeck);
+        container.querySelectorAll('.quiz:not(.interactive)').forEach(activateQuiz);
+        container.querySelectorAll('.flashcards:not(.interactive)').forEach(activateFlashcards);
+    };
+
+    return { MODES, DEFAULT_MODE, STYLES, getLabel, render, activate };
+})();
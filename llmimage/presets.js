@@ -0,0 +1,163 @@
+// PromptPresets Module - Built-in and custom audiences for answers
+//
+// A preset is { id, name, template }. Its template goes into the image analysis
+// prompt (PROMPTS.IMAGE_ANALYSIS) and may use the variables in VARIABLES, written
+// like {question}. Built-in presets come from prompts.js and cannot be changed;
+// custom ones are kept in IndexedDB in this browser and travel as JSON files:
+//   { format: 'llmimage-presets', version: 1, presets: [{ name, template }] }
+const PromptPresets = (() => {
+    const DB_NAME = 'llmimage-presets';
+    const STORE_NAME = 'presets';
+    const EXPORT_FORMAT = 'llmimage-presets';
+
+    const DEFAULT_PRESET = 'standard';
+    const VARIABLES = ['question', 'language'];
+
+    let dbPromise = null;
+
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    // Run a request against the store and resolve with its result
+    const withStore = async (mode, action) => {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    const generateId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+
+    // Built-in presets are named in the interface language
+    const getBuiltIn = (id) => {
+        const preset = PROMPT_PRESETS.find(builtIn => builtIn.id === id);
+        return preset ? { ...preset, name: I18n.t(`preset.${preset.id}`), builtIn: true } : null;
+    };
+
+    const isBuiltIn = (id) => PROMPT_PRESETS.some(builtIn => builtIn.id === id);
+
+    const listCustom = async () => {
+        try {
+            const presets = await withStore('readonly', store => store.getAll());
+            return presets.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            Logger.log(`Custom prompt presets are unavailable: ${error.message}`);
+            return [];
+        }
+    };
+
+    // Built-in presets first, then custom ones by name
+    const list = async () => [...PROMPT_PRESETS.map(preset => getBuiltIn(preset.id)), ...await listCustom()];
+
+    const get = async (id) => getBuiltIn(id) || await withStore('readonly', store => store.get(id)) || null;
+
+    // Variables a template uses that the prompt does not know
+    const getUnknownVariables = (template) => Array.from(new Set(
+        Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1]).filter(name => !VARIABLES.includes(name))
+    ));
+
+    // Imported files can hold anything, so a preset may not even be an object
+    const validate = (preset) => {
+        if (!preset || typeof preset !== 'object') {
+            throw new Error('A preset needs a name');
+        }
+
+        const { name, template } = preset;
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('A preset needs a name');
+        }
+        if (typeof template !== 'string' || !template.trim()) {
+            throw new Error('A preset needs a template');
+        }
+
+        const unknown = getUnknownVariables(template);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown variable ${unknown.map(name => `{${name}}`).join(', ')}; templates can use ${VARIABLES.map(name => `{${name}}`).join(', ')}`);
+        }
+    };
+
+    // Save a custom preset; without an id it is added as a new one. Resolves with the saved preset.
+    const save = async ({ id = null, name, template }) => {
+        validate({ name, template });
+        if (id && isBuiltIn(id)) {
+            throw new Error('Built-in presets cannot be changed, save a copy instead');
+        }
+
+        const preset = { id: id || generateId(), name: name.trim(), template: template.trim(), updatedAt: Date.now() };
+        await withStore('readwrite', store => store.put(preset));
+        return preset;
+    };
+
+    const remove = async (id) => {
+        if (isBuiltIn(id)) {
+            throw new Error('Built-in presets cannot be deleted');
+        }
+        await withStore('readwrite', store => store.delete(id));
+    };
+
+    const exportPresets = async () => JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: 1,
+        presets: (await listCustom()).map(({ name, template }) => ({ name, template }))
+    }, null, 2);
+
+    // Add the presets of an exported file as new custom presets; resolves with how many
+    const importPresets = async (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+            throw new Error('The file is not a prompt preset export');
+        }
+
+        // Everything is checked before anything is saved, so a bad file changes nothing
+        data.presets.forEach(validate);
+        for (const { name, template } of data.presets) {
+            await save({ name, template });
+        }
+        return data.presets.length;
+    };
+
+    // Fill in a template's variables; values are plain text
+    const render = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) =>
+        VARIABLES.includes(name) && values[name] !== undefined ? values[name] : match);
+
+    return {
+        DEFAULT_PRESET,
+        VARIABLES,
+        getBuiltIn,
+        isBuiltIn,
+        list,
+        get,
+        getUnknownVariables,
+        save,
+        remove,
+        exportPresets,
+        importPresets,
+        render
+    };
+})();
@@ -1,23 +1,110 @@
 const PROMPTS = {
     // Prompt for generating search terms
-    SEARCH_TERMS: `Generate 3-5 specific search terms that could be used to find images related to this question on Wikimedia. 
-Return only the search terms as a comma-separated list, with no other text or explanation:
+    SEARCH_TERMS: `Generate 3-5 specific search terms in English that could be used to find images related to this question on Wikimedia Commons.
+If the answer language, {language}, is not English, also generate 2-3 terms in it, to find images labelled in it.
+For each term, also say what kind of image it should find:
+- intent: "diagram", "photo", "map" or "chart"
+- fileType: "drawing" for diagrams, charts and other vector graphics, "bitmap" for photos and scans, or "any"
+- language: the ISO 639-1 code of the language the term is written in, which labels and descriptions should preferably be in too, e.g. "en"
+- category (optional): a Wikimedia Commons category the images are likely to be directly in, only if you are confident it exists
+Return only JSON in this form, with no other text or explanation:
+{"terms": [{"term": "human heart anatomy", "intent": "diagram", "fileType": "drawing", "language": "en"}]}
 
 Question: {question}`,
 
-    // Prompt for analyzing images
-    IMAGE_ANALYSIS: `You are an assistant that helps answer questions using visual aids. 
+    // Prompt for analyzing images; {preset} is the template of the chosen prompt preset
+    IMAGE_ANALYSIS: `You are an assistant that helps answer questions using visual aids.
 Examine the provided images and use ONLY the ones that are directly relevant to answering the user's question.
-Prioritize images with English text and labels. If an image contains non-English text, either:
+Write your answer in {language}.
+Prioritize images with text and labels in {language}, then images without text, then images with English labels. If an image contains text in another language, either:
 1. Only use it if the visual content is clear without needing to understand the text, or
-2. Skip it in favor of images with English labels or no text dependency.
-Keep in mind the image helps text! So the explnation should be also sufficietn without the images
+2. Skip it in favor of images labelled in {language} or with no text dependency.
+Keep in mind that the images support the text, so the explanation should also be sufficient without them.
+
+{preset}
 
 In your response:
-1. When inserting an image, include it using triple square brackets like this: [[[filename.png]]]
+1. When inserting an image, include it by its image ID in triple square brackets like this: [[[img1]]]
+   Use only the image IDs listed with the images, show each image at most once, and never mention an image ID anywhere else in the text.
+   You can add a short caption of your own, and a size (small, medium or large) or float (left or right) to let the text flow around a smaller image:
+   [[[img1 | caption: What the reader should notice | size: small | float: right]]]
+   To show only part of an image, crop it to a shape (square, wide or tall), optionally keeping its top, bottom, left or right: [[[img1 | crop: wide top]]]
+   To show images side by side, write [[[compare: img1; img2 | caption: What differs]]] for a comparison, or [[[gallery: img1; img2; img3 | caption: What they have in common]]] for a set of related images.
 2. Only include images that directly help explain your answer
 3. Always naturally reference each image in your text before showing it (e.g., "As shown in the image below," or "You can see in the following illustration that...")
 4. Describe specific elements within images when relevant
-5. Make your response feel like a well-written article that integrates visuals with explanatory text
-6. Provide a clear, informative response to the user's question if there is no good image, just provide a pure text answer`
-};
\ No newline at end of file
+5. If there is no good image, just provide a clear, informative text answer
+
+{format}`,
+
+    // How to lay out the answer in each output mode (see output-modes.js); put into
+    // IMAGE_ANALYSIS as {format}, and replacing its article layout
+    OUTPUT_FORMATS: {
+        article: '',
+        slides: `Format your answer as a slide deck instead of an article; this replaces any article style asked for above.
+Start every slide with a level-2 heading holding its title (## Slide title), and write nothing before the first slide.
+Give each slide at most one image, followed by two to five short bullet points. Use five to ten slides and end with a summary slide.`,
+        quiz: `Format your answer as a multiple-choice quiz instead of an article; this replaces any article style asked for above.
+Write four to eight questions that test understanding of the answer to the user's question.
+Start every question with a level-2 heading holding the question (## Question), and write nothing before the first question.
+Below it, show at most one image the question is about, then three or four options, each on its own line: "- [ ] wrong option", and exactly one "- [x] correct option".
+End each question with one line starting with "> " that explains the correct answer.`,
+        flashcards: `Format your answer as a set of six to twelve flashcards instead of an article; this replaces any article style asked for above.
+Start every card with a level-2 heading holding the front of the card: a term or a short question (## Front), and write nothing before the first card.
+Below it, write the back of the card: at most one image and one to three sentences.`
+    },
+
+    // Prompt for follow-up questions in an ongoing conversation
+    FOLLOW_UP: `The user has a follow-up question about your previous answer.
+Answer it in the same language and style, reusing the images you were already given where they help, with the same [[[img1]]] placeholders.
+If none of the images you have show what the user is now asking about and a picture would really help, reply with ONLY this line and nothing else:
+NEED_IMAGES: search term 1, search term 2
+
+Follow-up question: {question}`,
+
+    // Prompt for a follow-up question once additional images have been retrieved
+    FOLLOW_UP_WITH_IMAGES: `Here are additional images found for the user's follow-up question.
+Answer the follow-up question in the same language and style as before, using these new images and the ones you were already given, with the same [[[img1]]] placeholders.
+Do not ask for more images.
+
+Follow-up question: {question}`,
+
+    // Prompt for fixing the image placeholders of an answer that failed the placeholder check
+    PLACEHOLDER_REPAIR: `Your answer below shows images with placeholders in triple square brackets, but some of them are broken:
+{issues}
+
+These are the images you can show, by image ID:
+{images}
+
+Return the whole answer again with only the placeholders fixed. Use the image IDs above, show each image at most once, and either turn an image ID written in the text into a placeholder or remove it. Keep captions and options such as size, float and crop, and change nothing else.
+Return only the answer, with no explanation.
+
+Answer:
+{answer}`
+};
+
+// Built-in prompt presets: who the answer is written for and how. A template is put into
+// IMAGE_ANALYSIS and may use {question} and {language}; presets made in the app work the same way.
+const PROMPT_PRESETS = [
+    {
+        id: 'standard',
+        template: `Make your response feel like a well-written article that integrates visuals with explanatory text.`
+    },
+    {
+        id: 'kids',
+        template: `Explain this to a curious 10-year-old. Use short sentences, everyday words and comparisons to things a child knows.
+Avoid jargon, and explain any technical word you cannot do without. Keep the tone friendly and encouraging, and prefer simple, clearly labelled images.`
+    },
+    {
+        id: 'technical',
+        template: `Give a technical deep dive for a reader who already knows the basics of the subject.
+Use precise terminology, explain the underlying mechanisms step by step, write formulas in LaTeX where they help, and mention limitations, edge cases and open questions.
+Prefer detailed diagrams over photos.`
+    },
+    {
+        id: 'exam',
+        template: `Write revision notes for a student preparing for an exam on this question: "{question}".
+Start with a two-sentence summary, then list the key facts and definitions as bullet points, point out common mistakes, and end with three practice questions with short answers.
+Choose images that help to memorize the material.`
+    }
+];
\ No newline at end of file
@@ -0,0 +1,378 @@
+// LLMProviders Module - Model backends behind a common interface
+//
+// Every provider accepts the same provider-neutral request:
+//   { model, parts: [{ text } | { image: { mimeType, data } }], temperature, maxOutputTokens }
+// plus an optional history of earlier turns ([{ role: 'user' | 'model', parts }])
+// for multi-turn conversations, an optional JSON schema (responseSchema) the
+// reply must follow, an optional AbortSignal (signal) that cancels the call and an
+// optional onUsage(usage) callback for the tokens the call used, and resolves with
+// the generated text, so the pipeline in app.js never has to know which API it is
+// talking to. stream() takes the same request plus an onText(textSoFar) callback
+// that fires as chunks arrive. usage is { promptTokens, imageTokens, outputTokens };
+// image tokens are part of the prompt tokens, and null where the API does not say.
+const LLMProviders = (() => {
+    // Read a server-sent event stream and hand each JSON payload to onData. A stream
+    // without any event is an error: it is usually a plain JSON reply, e.g. from a
+    // server that ignores the request for SSE, and would otherwise be an empty answer.
+    const readEventStream = async (response, onData) => {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let eventCount = 0;
+
+        const handleEvent = (event) => {
+            const data = event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.substring(5).trim())
+                .join('\n');
+
+            // OpenAI-compatible streams end with a literal [DONE] marker
+            if (!data) return;
+            eventCount++;
+            if (data === '[DONE]') return;
+            onData(JSON.parse(data));
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop(); // Keep the incomplete event for the next chunk
+            events.forEach(handleEvent);
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+
+        if (eventCount === 0) {
+            throw new Error('The response stream ended without any events');
+        }
+    };
+
+    // Gemini - shared proxy first, then the direct API with the user's key
+    const createGeminiProvider = () => {
+        const PROXY_BASE_URL = 'https://tight-brook-3d83.jcmpagel.workers.dev';
+        let usingProxy = true;
+
+        const toGeminiParts = (parts) => parts.map(part => part.image
+            ? { inline_data: { mime_type: part.image.mimeType, data: part.image.data } }
+            : { text: part.text });
+
+        // Gemini schemas are an OpenAPI subset with upper-case type names
+        const toGeminiSchema = (schema) => {
+            const geminiSchema = { ...schema, type: schema.type.toUpperCase() };
+            if (schema.items) {
+                geminiSchema.items = toGeminiSchema(schema.items);
+            }
+            if (schema.properties) {
+                geminiSchema.properties = Object.fromEntries(
+                    Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+                );
+            }
+            return geminiSchema;
+        };
+
+        const toGeminiRequest = (request) => {
+            const history = request.history || [];
+            const requestData = {
+                contents: [
+                    ...history.map(turn => ({ role: turn.role, parts: toGeminiParts(turn.parts) })),
+                    { role: 'user', parts: toGeminiParts(request.parts) }
+                ]
+            };
+
+            const generationConfig = {};
+            if (request.temperature !== undefined) generationConfig.temperature = request.temperature;
+            if (request.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = request.maxOutputTokens;
+            if (request.responseSchema) {
+                generationConfig.responseMimeType = 'application/json';
+                generationConfig.responseSchema = toGeminiSchema(request.responseSchema);
+            }
+            if (Object.keys(generationConfig).length > 0) {
+                requestData.generationConfig = generationConfig;
+            }
+
+            return requestData;
+        };
+
+        // Join the text of all parts in a (possibly partial) response
+        const getResponseText = (data) => {
+            const candidate = data.candidates && data.candidates[0];
+            if (!candidate || !candidate.content || !candidate.content.parts) return '';
+            return candidate.content.parts.map(part => part.text || '').join('');
+        };
+
+        // Thinking tokens are billed as output
+        const toUsage = ({ promptTokenCount = 0, candidatesTokenCount = 0, thoughtsTokenCount = 0, promptTokensDetails }) => {
+            const imageDetails = (promptTokensDetails || []).find(detail => detail.modality === 'IMAGE');
+            return {
+                promptTokens: promptTokenCount,
+                imageTokens: promptTokensDetails ? (imageDetails ? imageDetails.tokenCount : 0) : null,
+                outputTokens: candidatesTokenCount + thoughtsTokenCount
+            };
+        };
+
+        // Turn a fetch response into text, reading it as SSE when streaming. Every streamed
+        // chunk carries the usage so far, so only the last one is reported.
+        const readResponse = async (response, onText, onUsage) => {
+            if (!onText) {
+                const data = await response.json();
+                if (onUsage && data.usageMetadata) onUsage(toUsage(data.usageMetadata));
+                return getResponseText(data);
+            }
+
+            let text = '';
+            let usageMetadata = null;
+            await readEventStream(response, (data) => {
+                const chunkText = getResponseText(data);
+                if (chunkText) {
+                    text += chunkText;
+                    onText(text);
+                }
+                usageMetadata = data.usageMetadata || usageMetadata;
+            });
+            if (onUsage && usageMetadata) onUsage(toUsage(usageMetadata));
+            return text;
+        };
+
+        const send = async (request, config, onText) => {
+            const requestData = toGeminiRequest(request);
+            const method = onText ? 'streamGenerateContent' : 'generateContent';
+            let receivedText = false;
+            const trackText = onText && ((text) => {
+                receivedText = true;
+                onText(text);
+            });
+
+            // Try the proxy first if enabled
+            if (usingProxy) {
+                try {
+                    Logger.log(`Attempting to use API proxy for ${request.model}...`);
+
+                    // Only one retry, since the direct API is the better fallback
+                    const response = await RequestScheduler.fetch(`${PROXY_BASE_URL}/${method}${onText ? '?alt=sse' : ''}`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({
+                            model: request.model,
+                            data: requestData
+                        }),
+                        signal: request.signal
+                    }, { pool: 'llm', retries: 1 });
+
+                    if (!response.ok) {
+                        throw new Error(`Proxy error: ${response.status}`);
+                    }
+
+                    const text = await readResponse(response, trackText, request.onUsage);
+                    Logger.log(`Successfully used API proxy`);
+                    return text;
+                } catch (error) {
+                    // Part of the answer is already on screen, so retrying would duplicate it;
+                    // a cancelled request must not be sent again either
+                    if (receivedText || error.name === 'AbortError') throw error;
+
+                    Logger.log(`Proxy request failed: ${error.message}`);
+                    Logger.log("Falling back to direct API call");
+                    // Fall through to direct API call
+                }
+            }
+
+            // Direct API call with user's key
+            if (!config.apiKey) {
+                throw new Error('API key is required when proxy is unavailable');
+            }
+
+            const query = onText ? `alt=sse&key=${config.apiKey}` : `key=${config.apiKey}`;
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${request.model}:${method}?${query}`;
+
+            const response = await RequestScheduler.fetch(apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData),
+                signal: request.signal
+            }, { pool: 'llm' });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Gemini API error: ${response.status} ${errorText}`);
+            }
+
+            const text = await readResponse(response, trackText, request.onUsage);
+            Logger.log(`Received response from Gemini API directly`);
+            return text;
+        };
+
+        // Methods to control proxy usage
+        const setUseProxy = (useProxy) => {
+            usingProxy = useProxy;
+            Logger.log(`Proxy usage set to: ${usingProxy}`);
+        };
+
+        return {
+            id: 'gemini',
+            label: 'Gemini',
+            generate: (request, config) => send(request, config, null),
+            stream: (request, config, onText) => send(request, config, onText),
+            // Search terms are cheap, so they always go to the lite model
+            getSearchTermsModel: () => 'gemini-2.0-flash-lite',
+            requiresApiKey: () => !usingProxy,
+            supportsProxy: true,
+            setUseProxy,
+            isUsingProxy: () => usingProxy
+        };
+    };
+
+    // OpenAI-compatible chat completions (OpenAI itself, Ollama, llama.cpp, vLLM, ...)
+    const createOpenAICompatibleProvider = ({ id, label, defaultBaseUrl, needsApiKey }) => {
+        const toOpenAIContent = (parts) => parts.map(part => part.image
+            ? { type: 'image_url', image_url: { url: `data:${part.image.mimeType};base64,${part.image.data}` } }
+            : { type: 'text', text: part.text });
+
+        const toOpenAIRequest = (request) => {
+            const history = request.history || [];
+            const requestData = {
+                model: request.model,
+                messages: [
+                    ...history.map(turn => turn.role === 'model'
+                        // Assistant messages only take plain text
+                        ? { role: 'assistant', content: turn.parts.map(part => part.text || '').join('') }
+                        : { role: 'user', content: toOpenAIContent(turn.parts) }),
+                    { role: 'user', content: toOpenAIContent(request.parts) }
+                ]
+            };
+
+            if (request.temperature !== undefined) requestData.temperature = request.temperature;
+            if (request.maxOutputTokens !== undefined) requestData.max_tokens = request.maxOutputTokens;
+            if (request.responseSchema) {
+                requestData.response_format = {
+                    type: 'json_schema',
+                    json_schema: { name: 'response', schema: request.responseSchema }
+                };
+            }
+
+            return requestData;
+        };
+
+        const send = async (request, config, onText) => {
+            if (needsApiKey && !config.apiKey) {
+                throw new Error(`API key is required for ${label}`);
+            }
+
+            const baseUrl = (config.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+            const headers = {
+                'Content-Type': 'application/json'
+            };
+            if (config.apiKey) {
+                headers.Authorization = `Bearer ${config.apiKey}`;
+            }
+
+            const requestData = toOpenAIRequest(request);
+            if (onText) {
+                requestData.stream = true;
+                // Asks for a last chunk with the usage; endpoints that do not know it ignore it
+                requestData.stream_options = { include_usage: true };
+            }
+
+            // Image tokens are part of the prompt tokens and not reported on their own
+            const reportUsage = (usage) => {
+                if (request.onUsage && usage) {
+                    request.onUsage({ promptTokens: usage.prompt_tokens || 0, imageTokens: null, outputTokens: usage.completion_tokens || 0 });
+                }
+            };
+
+            Logger.log(`Sending request to ${label} endpoint: ${baseUrl} (${request.model})`);
+
+            const response = await RequestScheduler.fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestData),
+                signal: request.signal
+            }, { pool: 'llm' });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`${label} API error: ${response.status} ${errorText}`);
+            }
+
+            if (!onText) {
+                const data = await response.json();
+                Logger.log(`Received response from ${label} endpoint`);
+                reportUsage(data.usage);
+                return data.choices[0].message.content;
+            }
+
+            let text = '';
+            let usage = null;
+            await readEventStream(response, (data) => {
+                const delta = data.choices && data.choices[0] && data.choices[0].delta;
+                if (delta && delta.content) {
+                    text += delta.content;
+                    onText(text);
+                }
+                usage = data.usage || usage;
+            });
+            reportUsage(usage);
+            Logger.log(`Received streamed response from ${label} endpoint`);
+            return text;
+        };
+
+        return {
+            id,
+            label,
+            defaultBaseUrl,
+            generate: (request, config) => send(request, config, null),
+            stream: (request, config, onText) => send(request, config, onText),
+            getSearchTermsModel: (model) => model,
+            requiresApiKey: () => needsApiKey,
+            supportsProxy: false
+        };
+    };
+
+    const providers = {
+        gemini: createGeminiProvider(),
+        openai: createOpenAICompatibleProvider({
+            id: 'openai',
+            label: 'OpenAI',
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            needsApiKey: true
+        }),
+        local: createOpenAICompatibleProvider({
+            id: 'local',
+            label: 'Local endpoint',
+            defaultBaseUrl: 'http://localhost:11434/v1',
+            needsApiKey: false
+        })
+    };
+
+    const get = (providerId) => {
+        const provider = providers[providerId];
+        if (!provider) {
+            throw new Error(`Unknown model provider: ${providerId}`);
+        }
+        return provider;
+    };
+
+    // Model selector values look like "provider:model", e.g. "gemini:gemini-2.0-flash"
+    const parseModelSelection = (value) => {
+        const separatorIndex = value.indexOf(':');
+        if (separatorIndex === -1) {
+            // Plain model names predate the provider prefix and are always Gemini
+            return { provider: 'gemini', model: value };
+        }
+        return {
+            provider: value.substring(0, separatorIndex),
+            model: value.substring(separatorIndex + 1)
+        };
+    };
+
+    return { get, parseModelSelection };
+})();
@@ -0,0 +1,185 @@
+// Sanitizer Module - Allowlist-based cleaning of HTML before it is injected into the page
+//
+// Model output, image metadata from external sources and shared answers loaded
+// from the database are all untrusted. Everything goes through sanitizeHtml()
+// right before it reaches innerHTML, in both the app and the shared viewer.
+const Sanitizer = (() => {
+    const ALLOWED_TAGS = new Set([
+        'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre',
+        's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot',
+        'th', 'thead', 'tr', 'u', 'ul'
+    ]);
+
+    // Attributes allowed on every element, and per element on top of those
+    const GLOBAL_ATTRIBUTES = ['class', 'style', 'title'];
+    const ALLOWED_ATTRIBUTES = {
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        ol: ['start'],
+        td: ['align', 'colspan', 'rowspan'],
+        th: ['align', 'colspan', 'rowspan']
+    };
+
+    // Removed together with their content instead of being unwrapped
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'noscript',
+        'template', 'svg', 'math', 'form', 'input', 'button', 'textarea', 'select',
+        'title', 'head', 'link', 'meta', 'base'
+    ]);
+
+    // Only layout and typography; nothing that can load resources or overlay the page
+    const ALLOWED_STYLE_PROPERTIES = new Set([
+        'border-radius', 'box-shadow', 'color', 'display', 'float', 'font-size', 'font-style',
+        'font-weight', 'height', 'margin', 'margin-bottom', 'margin-left', 'margin-right',
+        'margin-top', 'max-width', 'padding', 'text-align', 'width'
+    ]);
+
+    // Hosts the image sources serve their files from; a leading dot allows any subdomain.
+    // Openverse images from other hosts are shown through its own thumbnail service.
+    const ALLOWED_IMAGE_HOSTS = [
+        'upload.wikimedia.org',
+        'images-assets.nasa.gov',
+        'images.metmuseum.org',
+        'api.openverse.org',
+        '.staticflickr.com'
+    ];
+
+    const ALLOWED_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    const escapeHtml = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    // Text content of an HTML fragment, e.g. Commons metadata that contains markup.
+    // DOMParser documents are inert, so nothing in the fragment runs or loads.
+    const toPlainText = (html) => {
+        const doc = new DOMParser().parseFromString(String(html), 'text/html');
+        return doc.body.textContent || '';
+    };
+
+    const isAllowedImageHost = (hostname) => ALLOWED_IMAGE_HOSTS.some(host => host.startsWith('.')
+        ? hostname.endsWith(host)
+        : hostname === host);
+
+    const isAllowedImageUrl = (src, allowedImageUrls) => {
+        if (allowedImageUrls.includes(src)) return true;
+
+        // User-provided images are embedded as data URLs; SVG is excluded since it can carry script
+        if (/^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i.test(src)) return true;
+
+        try {
+            const url = new URL(src, window.location.href);
+            if (url.origin === window.location.origin) return true;
+            return url.protocol === 'https:' && isAllowedImageHost(url.hostname);
+        } catch (error) {
+            return false;
+        }
+    };
+
+    const isAllowedLink = (href) => {
+        if (href.startsWith('#')) return true;
+
+        try {
+            return ALLOWED_LINK_PROTOCOLS.includes(new URL(href, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    };
+
+    const sanitizeStyle = (style) => style
+        .split(';')
+        .map(declaration => declaration.trim())
+        .filter(declaration => {
+            const separatorIndex = declaration.indexOf(':');
+            if (separatorIndex === -1) return false;
+
+            const property = declaration.substring(0, separatorIndex).trim().toLowerCase();
+            const value = declaration.substring(separatorIndex + 1);
+            return ALLOWED_STYLE_PROPERTIES.has(property) && !/url\(|expression|javascript:|[<>\\]/i.test(value);
+        })
+        .join('; ');
+
+    // Returns false if the element should be removed entirely
+    const sanitizeAttributes = (element, tag, allowedImageUrls) => {
+        const allowed = [...GLOBAL_ATTRIBUTES, ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.includes(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (name === 'style') {
+                const style = sanitizeStyle(attribute.value);
+                if (style) {
+                    element.setAttribute('style', style);
+                } else {
+                    element.removeAttribute('style');
+                }
+            }
+        });
+
+        if (tag === 'img') {
+            const src = (element.getAttribute('src') || '').trim();
+            return isAllowedImageUrl(src, allowedImageUrls);
+        }
+
+        if (tag === 'a') {
+            const href = (element.getAttribute('href') || '').trim();
+            if (!isAllowedLink(href)) {
+                element.removeAttribute('href');
+            } else if (!href.startsWith('#')) {
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        }
+
+        return true;
+    };
+
+    const sanitizeChildren = (parent, allowedImageUrls) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return;
+            }
+
+            // Comments, processing instructions and the like
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName.toLowerCase();
+
+            if (DROPPED_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            sanitizeChildren(node, allowedImageUrls);
+
+            // Unknown elements are unwrapped so their (already sanitized) text survives
+            if (!ALLOWED_TAGS.has(tag)) {
+                node.replaceWith(...Array.from(node.childNodes));
+                return;
+            }
+
+            if (!sanitizeAttributes(node, tag, allowedImageUrls)) {
+                node.remove();
+            }
+        });
+    };
+
+    // allowedImageUrls lists extra image URLs to accept, e.g. the images of the current answer
+    const sanitizeHtml = (html, { allowedImageUrls = [] } = {}) => {
+        // Template content is inert: parsing it runs no scripts and loads no images
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        sanitizeChildren(template.content, allowedImageUrls);
+        return template.innerHTML;
+    };
+
+    return { sanitizeHtml, escapeHtml, toPlainText, isAllowedImageHost };
+})();
@@ -0,0 +1,165 @@
+// RequestScheduler Module - Shared queue for every outgoing request
+//
+// Requests are grouped into pools, each with its own concurrency cap, so a question
+// with many search terms does not hit Commons or the model API with everything at
+// once. Rate limiting and transient server errors are retried with exponential
+// backoff, honoring Retry-After when the server sends one; every retry shows up in
+// the debug log. fetch() takes the same arguments as window.fetch plus options.
+const RequestScheduler = (() => {
+    const POOLS = {
+        wikimedia: { concurrency: 4, active: 0, queue: [] },
+        llm: { concurrency: 2, active: 0, queue: [] },
+        default: { concurrency: 6, active: 0, queue: [] }
+    };
+
+    const RETRY_STATUSES = [429, 500, 502, 503, 504];
+    const MAX_RETRIES = 4;
+    const BASE_DELAY = 1000; // ms, doubled on every retry
+    const MAX_DELAY = 30000; // Longer waits are not worth it for an interactive answer
+
+    // Waits between retries end early, with an AbortError, when the request is cancelled,
+    // and do not start if it already was
+    const sleep = (ms, signal) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('The request was cancelled', 'AbortError'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was cancelled', 'AbortError'));
+        };
+        // A signal lives as long as its question, so each wait takes its listener along
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+
+    // Requests to Commons and its upload servers share one pool unless told otherwise
+    const getPoolName = (url) => {
+        try {
+            const { hostname } = new URL(url, window.location.href);
+            return hostname.endsWith('wikimedia.org') ? 'wikimedia' : 'default';
+        } catch (error) {
+            return 'default';
+        }
+    };
+
+    // Hand a finished request's slot straight to the next one in line, if the cap allows
+    const releaseSlot = (pool) => {
+        if (pool.queue.length > 0 && pool.active <= pool.concurrency) {
+            pool.queue.shift()();
+        } else {
+            pool.active--;
+        }
+    };
+
+    // Wait for a free slot in the pool and run the task in it. For fetches the slot is
+    // held until the response headers arrive, not while a stream is being read.
+    const runInPool = async (poolName, task) => {
+        const pool = POOLS[poolName];
+        if (pool.active < pool.concurrency) {
+            pool.active++;
+        } else {
+            // releaseSlot passes on a slot that is already counted as active
+            await new Promise(resolve => pool.queue.push(resolve));
+        }
+
+        try {
+            return await task();
+        } finally {
+            releaseSlot(pool);
+        }
+    };
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const getRetryAfter = (response) => {
+        const header = response.headers && response.headers.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    };
+
+    // MediaWiki reports maxlag as an API error with status 200
+    const isRetryable = (response) => RETRY_STATUSES.includes(response.status) ||
+        (response.headers && response.headers.get('MediaWiki-API-Error') === 'maxlag');
+
+    const getBackoff = (attempt) => Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt + Math.random() * 250);
+
+    // options.pool overrides the pool picked from the URL; options.retries the retry count
+    const fetchWithRetry = async (url, init = {}, options = {}) => {
+        const poolName = options.pool || getPoolName(url);
+        const retries = options.retries !== undefined ? options.retries : MAX_RETRIES;
+        // Only requests that are safe to repeat are retried after a network failure
+        const idempotent = ['GET', 'HEAD'].includes((init.method || 'GET').toUpperCase());
+        const label = String(url).split('?')[0];
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                // A request cancelled while it waited for a slot is not sent at all
+                response = await runInPool(poolName, () => {
+                    if (init.signal && init.signal.aborted) {
+                        throw new DOMException('The request was cancelled', 'AbortError');
+                    }
+                    return fetch(url, init);
+                });
+            } catch (error) {
+                if (!idempotent || attempt >= retries || error.name === 'AbortError') {
+                    throw error;
+                }
+
+                const delay = getBackoff(attempt);
+                Logger.log(`Request to ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+                await sleep(delay, init.signal);
+                continue;
+            }
+
+            if (!isRetryable(response) || attempt >= retries) {
+                return response;
+            }
+
+            const retryAfter = getRetryAfter(response);
+            if (retryAfter !== null && retryAfter > MAX_DELAY) {
+                Logger.log(`${label} asked to retry after ${Math.round(retryAfter / 1000)}s, giving up`);
+                return response;
+            }
+
+            // The response is dropped for the retry; cancelling its body frees the connection
+            if (response.body) {
+                response.body.cancel().catch(() => {});
+            }
+
+            const delay = retryAfter !== null ? retryAfter : getBackoff(attempt);
+            const reason = RETRY_STATUSES.includes(response.status) ? `responded ${response.status}` : 'is lagging (maxlag)';
+            Logger.log(`${label} ${reason}, retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+            await sleep(delay, init.signal);
+        }
+    };
+
+    const setConcurrency = (poolName, concurrency) => {
+        const pool = POOLS[poolName];
+        if (!pool) {
+            throw new Error(`Unknown request pool: ${poolName}`);
+        }
+
+        pool.concurrency = Math.max(1, concurrency);
+
+        // Let waiting requests in if the cap was raised
+        while (pool.queue.length > 0 && pool.active < pool.concurrency) {
+            pool.active++;
+            pool.queue.shift()();
+        }
+        Logger.log(`Concurrency for ${poolName} requests set to ${pool.concurrency}`);
+    };
+
+    return { fetch: fetchWithRetry, setConcurrency };
+})();
@@ -0,0 +1,111 @@
+// SharePreview Module - Link preview metadata (Open Graph and Twitter cards) for shared answers
+//
+// Chat tools and social sites read these tags without running any script, so
+// share-server.js writes them into view.html before sending it; that is the only
+// place they reach those sites from, so static hosting (e.g. with Supabase storage)
+// shows the generic preview. The viewer sets them too, for crawlers that do run
+// scripts. Runs in the browser and in Node.js.
+const SharePreview = (() => {
+    const SITE_NAME = 'Wikimedia Image-Enhanced Q&A';
+    const TITLE_LENGTH = 100;
+    const DESCRIPTION_LENGTH = 200;
+
+    const truncate = (text, length) => text.length <= length
+        ? text
+        : `${text.substring(0, length - 1).replace(/\s+\S*$/, '')}…`;
+
+    // Markdown or HTML to one line of plain text, without image placeholders, quiz
+    // answer marks and math delimiters
+    const toPlainLine = (text) => String(text || '')
+        .replace(/\[\[\[.*?\]\]\]/g, ' ')
+        .replace(/^\s*[-*+] \[[ xX]\]/gm, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/[*_`>#~|$\\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // The first image the answer shows that can be linked from elsewhere; user images are data URLs
+    const getFirstImage = (answer, images) => {
+        const linkable = images.filter(img => !img.userProvided && /^https?:\/\//.test(img.url));
+        // The first image ID or file a placeholder names, without its caption and options or gallery prefix
+        const placeholders = Array.from(String(answer || '').matchAll(/\[\[\[(.*?)\]\]\]/g), match => match[1]
+            .split('|')[0]
+            .replace(/^\s*(gallery|compare)\s*:/i, '')
+            .split(';')[0]
+            .toLowerCase()
+            .trim());
+
+        return placeholders
+            .map(ref => linkable.find(img => String(img.id || '').toLowerCase() === ref || String(img.title).toLowerCase() === ref))
+            .find(Boolean) || linkable[0] || null;
+    };
+
+    // What a link to a share record should show; url is the share's canonical link
+    const getPreview = (record, url) => {
+        // Shares from before answers were stored as markdown only have their HTML
+        const answer = record.answer !== null && record.answer !== undefined ? record.answer : record.response;
+        const image = getFirstImage(answer, record.images || []);
+
+        return {
+            title: truncate(toPlainLine(record.question), TITLE_LENGTH),
+            description: truncate(toPlainLine(answer), DESCRIPTION_LENGTH),
+            image: image ? image.url : null,
+            imageAlt: image ? truncate(toPlainLine(image.altText || image.displayTitle || image.title), DESCRIPTION_LENGTH) : null,
+            url
+        };
+    };
+
+    // [attribute, key, content] of every tag, leaving out those without content
+    const getMetaTags = ({ title, description, image, imageAlt, url }) => [
+        ['name', 'description', description],
+        ['property', 'og:type', 'article'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:image', image],
+        ['property', 'og:image:alt', imageAlt],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image],
+        ['name', 'twitter:image:alt', imageAlt]
+    ].filter(([, , content]) => content);
+
+    const escapeHtml = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    const getPageTitle = (preview) => `${preview.title} | ${SITE_NAME}`;
+
+    // The title and tags as HTML for the page head
+    const renderHeadTags = (preview) => [
+        `<title>${escapeHtml(getPageTitle(preview))}</title>`,
+        ...getMetaTags(preview).map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}">`)
+    ].join('\n    ');
+
+    // Set the title and tags in a page that is already loaded
+    const applyHeadTags = (doc, preview) => {
+        doc.title = getPageTitle(preview);
+        getMetaTags(preview).forEach(([attribute, key, content]) => {
+            let meta = doc.head.querySelector(`meta[${attribute}="${key}"]`);
+            if (!meta) {
+                meta = doc.createElement('meta');
+                meta.setAttribute(attribute, key);
+                doc.head.appendChild(meta);
+            }
+            meta.setAttribute('content', content);
+        });
+    };
+
+    return { getPreview, renderHeadTags, applyHeadTags };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharePreview;
+}
@@ -0,0 +1,260 @@
+// share-server.js - A small self-hosted share backend that keeps shares in a JSON file
+//
+// Serves the app from this directory and the share API the "http" share storage
+// (share-storage.js) talks to:
+//   POST   /api/shares            store { id, ...record, deleteTokenHash }
+//   GET    /api/shares/{id}       the record, 404 once deleted or expired
+//   DELETE /api/shares/{id}       with an X-Delete-Token header matching the stored hash
+//   POST   /api/shares/{id}/views count a view
+// view.html?id= links get the share's title and preview tags written into the page,
+// so chat tools and social sites can show a preview of the answer.
+// Needs only Node.js: node share-server.js [port] [file], by default port 8787 and
+// shares.json in the current directory. Required as a module, it exports the server
+// without starting it.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SharePreview = require('./share-preview.js');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const DATA_FILE = path.resolve(process.argv[3] || process.env.SHARES_FILE || 'shares.json');
+const STATIC_ROOT = __dirname;
+const MAX_BODY_SIZE = 1024 * 1024; // shares hold text and an image manifest, never image data
+const ID_PATTERN = /^[0-9a-f]{24}$/;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const loadShares = () => {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+};
+
+// Expired shares are dropped whenever the file is written; written to a temporary
+// file first so a crash never leaves half a file behind
+const saveShares = (shares) => {
+    const now = new Date();
+    Object.keys(shares).forEach(id => {
+        if (isExpired(shares[id], now)) delete shares[id];
+    });
+
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(shares));
+    fs.renameSync(tempFile, DATA_FILE);
+};
+
+const isExpired = (share, now = new Date()) => Boolean(share.expiresAt) && new Date(share.expiresAt) <= now;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Compare in constant time, so the hash cannot be guessed byte by byte
+const tokenMatches = (token, hash) => {
+    const expected = Buffer.from(String(hash || ''), 'hex');
+    const actual = Buffer.from(hashToken(String(token || '')), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Share IDs are what save() in share-storage.js makes; anything else names no share
+const isShareId = (id) => ID_PATTERN.test(String(id || ''));
+
+const send = (res, status, body = null) => {
+    res.writeHead(status, body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === null ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            // The rest is read and dropped, so the client still gets the 413
+            req.off('data', onData);
+            req.resume();
+            reject(Object.assign(new Error('Share too large'), { status: 413 }));
+            return;
+        }
+        chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const createShare = async (req, res) => {
+    let record;
+    try {
+        record = JSON.parse(await readBody(req));
+    } catch (error) {
+        return send(res, error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+    }
+
+    const { id, question, answer, deleteTokenHash } = record || {};
+    if (!ID_PATTERN.test(id) || typeof question !== 'string' || typeof answer !== 'string' || !/^[0-9a-f]{64}$/.test(deleteTokenHash)) {
+        return send(res, 400, { error: 'A share needs an id, question, answer and deleteTokenHash' });
+    }
+
+    const shares = loadShares();
+    if (shares[id]) {
+        return send(res, 409, { error: 'A share with this ID exists' });
+    }
+
+    shares[id] = {
+        question,
+        answer,
+        followUps: Array.isArray(record.followUps) ? record.followUps : [],
+        images: Array.isArray(record.images) ? record.images : [],
+        answerLanguage: record.answerLanguage || null,
+        preset: record.preset && typeof record.preset.name === 'string'
+            ? { id: String(record.preset.id || ''), name: record.preset.name }
+            : null,
+        outputMode: typeof record.outputMode === 'string' ? record.outputMode : null,
+        expiresAt: record.expiresAt || null,
+        createdAt: new Date().toISOString(),
+        deleteTokenHash,
+        views: 0
+    };
+    saveShares(shares);
+    send(res, 201, { id });
+};
+
+const handleShare = async (req, res, id, action) => {
+    if (!isShareId(id)) {
+        return send(res, 400, { error: 'Invalid share ID' });
+    }
+
+    const shares = loadShares();
+    const share = shares[id];
+    if (!share || isExpired(share)) {
+        return send(res, 404, { error: 'Share not found' });
+    }
+
+    if (req.method === 'GET' && !action) {
+        const { deleteTokenHash, ...publicShare } = share;
+        return send(res, 200, publicShare);
+    }
+
+    if (req.method === 'DELETE' && !action) {
+        if (!tokenMatches(req.headers['x-delete-token'], share.deleteTokenHash)) {
+            return send(res, 403, { error: 'The delete token does not match' });
+        }
+        delete shares[id];
+        saveShares(shares);
+        return send(res, 204);
+    }
+
+    if (req.method === 'POST' && action === 'views') {
+        share.views = (share.views || 0) + 1;
+        saveShares(shares);
+        return send(res, 204);
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+};
+
+// The viewer page with the preview of the share it shows, if there is one
+const serveViewer = (req, res, id) => {
+    const share = isShareId(id) ? loadShares()[id] : null;
+    if (!share || isExpired(share)) {
+        return false;
+    }
+
+    const pageUrl = new URL(req.url, `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`);
+    pageUrl.searchParams.delete('embed');
+
+    const html = fs.readFileSync(path.join(STATIC_ROOT, 'view.html'), 'utf8').replace(
+        /<!-- share-preview[\s\S]*?<!-- \/share-preview -->/,
+        () => SharePreview.renderHeadTags(SharePreview.getPreview(share, pageUrl.href))
+    );
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+    res.end(html);
+    return true;
+};
+
+const serveStatic = (req, res, pathname) => {
+    let filePath;
+    try {
+        filePath = path.resolve(STATIC_ROOT, `.${decodeURIComponent(pathname === '/' ? '/index.html' : pathname)}`);
+    } catch (error) {
+        // A malformed escape such as %E0%A4%A
+        return send(res, 400, { error: 'Invalid path' });
+    }
+
+    // Nothing outside this directory, no dotfiles and never the shares themselves
+    if (!filePath.startsWith(STATIC_ROOT + path.sep) || path.basename(filePath).startsWith('.') ||
+        filePath === DATA_FILE || filePath === `${DATA_FILE}.tmp`) {
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            return send(res, 404, { error: 'Not found' });
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    let pathname;
+    let searchParams;
+    try {
+        ({ pathname, searchParams } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+        return send(res, 400, { error: 'Invalid URL' });
+    }
+
+    // The app may be served from elsewhere and use this server only for shares
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Delete-Token');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            return send(res, 204);
+        }
+
+        if (pathname === '/api/shares') {
+            return req.method === 'POST' ? await createShare(req, res) : send(res, 405, { error: 'Method not allowed' });
+        }
+
+        const match = pathname.match(/^\/api\/shares\/([^/]+)(?:\/(views))?$/);
+        if (match) {
+            return await handleShare(req, res, match[1], match[2]);
+        }
+
+        if (req.method === 'GET') {
+            if (pathname === '/view.html' && searchParams.get('id') && serveViewer(req, res, searchParams.get('id'))) {
+                return;
+            }
+            return serveStatic(req, res, pathname);
+        }
+
+        send(res, 404, { error: 'Not found' });
+    } catch (error) {
+        console.error(error);
+        send(res, 500, { error: 'Internal server error' });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Serving the app and shares on http://localhost:${PORT}/ (shares in ${DATA_FILE})`);
+    });
+}
+
+module.exports = { server };
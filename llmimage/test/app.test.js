@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const response = (data) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => data });
+
+// The app's modules with a model that replies with the given text to every request
+const loadWithModelReply = (reply) => {
+    const requests = [];
+    return loadApp({
+        globals: {
+            fetch: async (url, init) => {
+                requests.push({ url, body: JSON.parse(init.body) });
+                return response({ choices: [{ message: { content: reply } }] });
+            }
+        }
+    }).then(window => ({ LLMAPI: window.eval('LLMAPI'), requests }));
+};
+
+const llmConfig = { provider: 'local', model: 'llava', baseUrl: '' };
+
+// Through JSON, as the terms come from the window's realm
+const getSearchTerms = async (reply, language = null) => {
+    const { LLMAPI, requests } = await loadWithModelReply(reply);
+    const terms = await LLMAPI.getSearchTerms('How does the heart work?', language, llmConfig);
+    return { terms: JSON.parse(JSON.stringify(terms)), requests };
+};
+
+test('asks for search terms with a schema and keeps their hints', async () => {
+    const { terms, requests } = await getSearchTerms(JSON.stringify({ terms: [
+        { term: ' heart anatomy ', intent: 'diagram', fileType: 'drawing', category: 'Category:Human heart' },
+        { term: 'Herz', intent: 'photo', fileType: 'any', language: 'de' }
+    ] }));
+
+    assert.equal(requests[0].body.response_format.json_schema.schema.required[0], 'terms');
+    assert.deepEqual(terms, [
+        { term: 'heart anatomy', intent: 'diagram', fileType: 'drawing', category: 'Category:Human heart' },
+        { term: 'Herz', intent: 'photo', fileType: 'any', language: 'de' }
+    ]);
+});
+
+test('puts terms in the answer language first', async () => {
+    const { terms } = await getSearchTerms(JSON.stringify([
+        { term: 'heart', language: 'en' },
+        { term: 'Herz', language: 'de' },
+        { term: 'Herzklappe', language: 'de' }
+    ]), 'de');
+
+    assert.deepEqual(terms.map(term => term.term), ['Herz', 'Herzklappe', 'heart']);
+});
+
+test('reads a fenced JSON reply and drops terms without text', async () => {
+    const { terms } = await getSearchTerms('```json\n{"terms": [{"term": "ventricle"}, {"term": "  "}, {"intent": "photo"}, null, {"term": 7}]}\n```');
+
+    assert.deepEqual(terms, [{ term: 'ventricle' }]);
+});
+
+test('reads a reply that is not JSON as a comma-separated list of plain terms', async () => {
+    assert.deepEqual((await getSearchTerms('heart, ventricle , , heart valve')).terms,
+        [{ term: 'heart' }, { term: 'ventricle' }, { term: 'heart valve' }]);
+});
+
+test('does not fail on JSON cut off or without terms', async () => {
+    assert.equal((await getSearchTerms('{"terms": [{"term": "heart"')).terms.length, 1);
+    assert.equal((await getSearchTerms('{"terms": null}')).terms.length, 1);
+});
+
+// The image processor of a page that cannot decode images, as jsdom has no canvas
+const loadImageProcessor = async () => {
+    const window = await loadApp({
+        globals: {
+            Image: class {
+                set src(value) {
+                    setTimeout(() => this.onerror(new Error(`Cannot decode ${value.substring(0, 20)}`)));
+                }
+            }
+        }
+    });
+    return window.eval('ImageProcessor');
+};
+
+test('guesses the type of an image from the extension of its URL', async () => {
+    const ImageProcessor = await loadImageProcessor();
+
+    for (const [url, mimeType] of [
+        ['https://upload.wikimedia.org/a/ab/Heart.JPG', 'image/jpeg'],
+        ['https://upload.wikimedia.org/a/ab/Heart.jpeg?download#top', 'image/jpeg'],
+        ['https://upload.wikimedia.org/a/ab/Heart.svg', 'image/svg+xml'],
+        ['https://upload.wikimedia.org/a/ab/Heart.png', 'image/png'],
+        ['https://upload.wikimedia.org/a/ab/Heart.webp', 'image/webp'],
+        ['https://upload.wikimedia.org/a/ab/Heart.tif', 'image/tiff'],
+        ['https://upload.wikimedia.org/a/ab/Heart.djvu', 'image/vnd.djvu'],
+        ['https://upload.wikimedia.org/a/ab/Heart.pdf', 'application/pdf'],
+        ['https://upload.wikimedia.org/a/ab/Heart.ogg', ''],
+        ['https://example.org/image?format=png', ''],
+        ['https://example.org/heart', '']
+    ]) {
+        assert.equal(ImageProcessor.guessMimeType(url), mimeType, url);
+    }
+});
+
+test('keeps images the model APIs accept and converts the rest', async () => {
+    const ImageProcessor = await loadImageProcessor();
+
+    assert.equal(await ImageProcessor.toSupportedFormat('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+    assert.equal(await ImageProcessor.toSupportedFormat('data:image/webp;base64,AAAA', 'image/png'), 'data:image/webp;base64,AAAA');
+    // Generic types are replaced by what the image source reported
+    assert.equal(await ImageProcessor.toSupportedFormat('data:application/octet-stream;base64,AAAA', 'image/JPEG'), 'data:image/jpeg;base64,AAAA');
+    assert.equal(await ImageProcessor.toSupportedFormat('data:;base64,AAAA', 'image/webp'), 'data:image/webp;base64,AAAA');
+
+    await assert.rejects(ImageProcessor.toSupportedFormat('data:image/svg+xml;base64,AAAA'), /Failed to load SVG/);
+    await assert.rejects(ImageProcessor.toSupportedFormat('data:application/octet-stream;base64,AAAA', 'image/tiff'), /Unsupported image format: image\/tiff/);
+    await assert.rejects(ImageProcessor.toSupportedFormat('data:application/octet-stream;base64,AAAA'), /Unsupported image format: application\/octet-stream/);
+});
+
+test('names SVGs as the PNGs the model gets, keeping titles unique', async () => {
+    const ImageProcessor = await loadImageProcessor();
+    const svgUrl = 'https://upload.wikimedia.org/a/ab/Heart_diagram.svg';
+
+    assert.equal(ImageProcessor.getModelTitle('Heart diagram.svg', svgUrl, []), 'heart_diagram.png');
+    assert.equal(ImageProcessor.getModelTitle('Heart.SVG', 'https://upload.wikimedia.org/a/ab/Heart.SVG', []), 'heart.png');
+    assert.equal(ImageProcessor.getModelTitle('Heart.svg.svg', svgUrl, []), 'heart.svg.png');
+    assert.equal(ImageProcessor.getModelTitle('Heart diagram.svg', svgUrl, ['heart_diagram.png']), 'heart_diagram_2.png');
+    assert.equal(ImageProcessor.getModelTitle('Heart diagram.jpg', 'https://upload.wikimedia.org/a/ab/Heart_diagram.jpg', ['heart_diagram.jpg']), 'heart_diagram_2.jpg');
+    // A raster rendition keeps its name even if a title mentions .svg
+    assert.equal(ImageProcessor.getModelTitle('Heart.svg history.jpg', 'https://upload.wikimedia.org/a/ab/Heart.jpg', []), 'heart.svg_history.jpg');
+});
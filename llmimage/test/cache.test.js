@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// A cache with an empty database of its own and a clock the test moves
+const createCache = () => {
+    const indexedDB = new IDBFactory();
+    const window = loadScripts(['cache.js'], { globals: { indexedDB } });
+    const clock = { now: Date.UTC(2024, 0, 1) };
+    window.Date.now = () => clock.now;
+    return { ResponseCache: window.eval('ResponseCache'), indexedDB, clock };
+};
+
+// The keys the cache stored its bookkeeping under
+const storedKeys = (indexedDB) => new Promise((resolve, reject) => {
+    const request = indexedDB.open('llmimage-cache');
+    request.onsuccess = () => {
+        const keys = request.result.transaction('meta').objectStore('meta').getAllKeys();
+        keys.onsuccess = () => {
+            request.result.close();
+            resolve(Array.from(keys.result).sort());
+        };
+        keys.onerror = () => reject(keys.error);
+    };
+    request.onerror = () => reject(request.error);
+});
+
+test('keeps entries apart by kind and key', async () => {
+    const { ResponseCache, indexedDB } = createCache();
+
+    await ResponseCache.set('search', 'heart', ['Heart.jpg']);
+    await ResponseCache.set('details', 'heart', { title: 'Heart.jpg' });
+
+    assert.deepEqual(await storedKeys(indexedDB), ['details:heart', 'search:heart']);
+    assert.deepEqual(Array.from(await ResponseCache.get('search', 'heart')), ['Heart.jpg']);
+    assert.equal((await ResponseCache.get('details', 'heart')).title, 'Heart.jpg');
+    assert.equal(await ResponseCache.get('image', 'heart'), null);
+    assert.equal(await ResponseCache.get('search', 'lungs'), null);
+});
+
+test('misses once an entry has outlived the time to live of its kind, and drops it', async () => {
+    const { ResponseCache, indexedDB, clock } = createCache();
+    await ResponseCache.set('search', 'heart', ['Heart.jpg']);
+    await ResponseCache.set('details', 'heart', { title: 'Heart.jpg' });
+
+    clock.now += 24 * HOUR;
+    assert.equal(await ResponseCache.has('search', 'heart'), true);
+    assert.notEqual(await ResponseCache.get('search', 'heart'), null);
+
+    clock.now += 1;
+    assert.equal(await ResponseCache.has('search', 'heart'), false);
+    assert.equal(await ResponseCache.get('search', 'heart'), null);
+    assert.deepEqual(await storedKeys(indexedDB), ['details:heart']);
+    assert.equal((await ResponseCache.get('details', 'heart')).title, 'Heart.jpg');
+
+    clock.now += 7 * 24 * HOUR;
+    assert.equal(await ResponseCache.get('details', 'heart'), null);
+    assert.deepEqual(JSON.parse(JSON.stringify(await ResponseCache.getStats())), { count: 0, size: 0, kinds: {} });
+});
+
+test('loads what is missing or expired, and does not cache nothing', async () => {
+    const { ResponseCache, clock } = createCache();
+    const loads = [];
+    const load = (value) => async () => {
+        loads.push(value);
+        return value;
+    };
+
+    assert.equal(await ResponseCache.getOrLoad('search', 'heart', load('first')), 'first');
+    assert.equal(await ResponseCache.getOrLoad('search', 'heart', load('second')), 'first');
+    clock.now += 24 * HOUR + 1;
+    assert.equal(await ResponseCache.getOrLoad('search', 'heart', load('third')), 'third');
+
+    assert.equal(await ResponseCache.getOrLoad('details', 'gone', load(null)), null);
+    assert.equal(await ResponseCache.getOrLoad('details', 'gone', load('found')), 'found');
+    assert.deepEqual(loads, ['first', 'third', null, 'found']);
+});
+
+test('misses and stores nothing without IndexedDB', async () => {
+    const ResponseCache = loadScripts(['cache.js'], { globals: { indexedDB: undefined } }).eval('ResponseCache');
+
+    await ResponseCache.set('search', 'heart', ['Heart.jpg']);
+    assert.equal(await ResponseCache.get('search', 'heart'), null);
+    assert.equal(await ResponseCache.getOrLoad('search', 'heart', async () => 'loaded'), 'loaded');
+});
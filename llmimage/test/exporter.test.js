@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['i18n.js', 'sanitizer.js', 'licenses.js', 'formatter.js', 'output-modes.js', 'exporter.js']);
+const AnswerExporter = window.eval('AnswerExporter');
+
+const images = [
+    {
+        id: 'img1',
+        title: 'Heart_diagram.svg',
+        displayTitle: 'Heart diagram [en].svg',
+        url: 'https://upload.wikimedia.org/heart_diagram.png',
+        sourceUrl: 'https://commons.wikimedia.org/wiki/File:Heart_diagram.svg',
+        altText: 'Diagram of the heart',
+        attribution: '<a href="https://commons.wikimedia.org/wiki/User:Someone">Some one</a>',
+        attributionUrl: 'https://commons.wikimedia.org/wiki/User:Someone',
+        source: 'Wikimedia Commons',
+        license: 'CC BY-SA 4.0'
+    },
+    {
+        id: 'img2',
+        title: 'Lungs.jpg',
+        url: 'https://images-assets.nasa.gov/lungs.jpg',
+        source: 'NASA Image Library',
+        license: 'Public Domain'
+    },
+    { id: 'img3', title: 'Unused.jpg', url: 'https://upload.wikimedia.org/unused.jpg', source: 'Wikimedia Commons' },
+    { id: 'img4', title: 'sketch.png', url: 'data:image/png;base64,AAAA', userProvided: true }
+];
+
+test('exports the images an answer shows as links with their credits', () => {
+    const markdown = AnswerExporter.renderAnswerMarkdown(
+        'The heart pumps.\n\n[[[img1|The four chambers]]]\n\nIt sends blood to the lungs. [[[gallery: img2; img1; missing]]] [[[img4]]]',
+        images
+    );
+
+    const heartCredit = '"[Heart diagram \\[en\\].svg](<https://commons.wikimedia.org/wiki/File:Heart_diagram.svg>)" ' +
+        'by [Some one](<https://commons.wikimedia.org/wiki/User:Someone>) via Wikimedia Commons ' +
+        '([CC BY-SA 4.0](<https://creativecommons.org/licenses/by-sa/4.0/>))';
+    const lungsCredit = '"Lungs.jpg" via NASA Image Library (Public Domain)';
+
+    assert.ok(markdown.includes(`![Diagram of the heart](<https://upload.wikimedia.org/heart_diagram.png>)\nThe four chambers\n*${heartCredit}*`));
+    assert.ok(markdown.includes(`![Lungs.jpg](<https://images-assets.nasa.gov/lungs.jpg>)\n*${lungsCredit}*`));
+    assert.ok(markdown.includes('*User-provided image: sketch.png (not included in the export)*'));
+    assert.equal(markdown.includes('data:image'), false);
+    assert.equal(markdown.includes('[[['), false);
+
+    // Each image shown is credited once, in the order it first appears; user images are not
+    assert.ok(markdown.endsWith(`#### Image credits\n\n1. ${heartCredit}\n2. ${lungsCredit}`));
+    assert.equal(markdown.includes('Unused.jpg'), false);
+});
+
+test('leaves out the credits of an answer without images', () => {
+    assert.equal(AnswerExporter.renderAnswerMarkdown('No pictures needed. [[[missing]]]', images), 'No pictures needed. ');
+});
+
+test('puts the question, answer, follow-ups and a note into one document', () => {
+    const markdown = AnswerExporter.toMarkdownDocument({
+        question: ' How does the heart work? ',
+        answer: AnswerExporter.renderAnswerMarkdown('It pumps. [[[img2]]]', images),
+        followUps: [{ question: 'And the lungs?', answer: 'They breathe.\n' }]
+    });
+
+    assert.match(markdown, /^# How does the heart work\?\n\nIt pumps\. \n\n!\[Lungs\.jpg\]/);
+    assert.match(markdown, /\n\n#### Image credits\n\n1\. "Lungs\.jpg" via NASA Image Library \(Public Domain\)\n\n## Follow-up: And the lungs\?\n\nThey breathe\.\n\n---\n\n\*Exported from the Wikimedia Image-Enhanced Q&A Tool on .+\*\n$/);
+});
+
+test('names files after the question', () => {
+    assert.equal(AnswerExporter.getFileName('How does the heart work?', 'md'), 'how-does-the-heart-work.md');
+    assert.equal(AnswerExporter.getFileName('Wie funktioniert das Herz?', 'html'), 'wie-funktioniert-das-herz.html');
+    assert.equal(AnswerExporter.getFileName('???', 'md'), 'answer.md');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['i18n.js', 'sanitizer.js', 'licenses.js', 'formatter.js', 'output-modes.js']);
+const ResponseFormatter = window.eval('ResponseFormatter');
+
+const parse = (html) => {
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+};
+
+test('shows a note in place of user images a share lists without data', () => {
+    const images = [{ id: 'img1', title: 'sketch.png', url: null, userProvided: true }];
+
+    const container = parse(ResponseFormatter.formatConversation(
+        'My sketch: [[[img1 | caption: The left side]]]', [], images, { trustImageUrls: false }));
+
+    assert.equal(container.querySelector('img'), null);
+    const figure = container.querySelector('figure.image-not-shared');
+    assert.match(figure.textContent, /The left side/);
+    assert.match(figure.textContent, /not included in shared links/);
+});
+
+const images = [
+    { id: 'img1', title: 'Heart diagram.svg', url: 'https://upload.wikimedia.org/heart.png', source: 'Wikimedia Commons', license: 'CC BY-SA 4.0', attribution: 'Someone' },
+    { id: 'img2', title: 'Heart photo.jpg', url: 'https://upload.wikimedia.org/photo.jpg', source: 'Wikimedia Commons', license: 'CC0' },
+    { id: 'img3', title: 'Valve.jpg', url: 'https://upload.wikimedia.org/valve.jpg', source: 'Wikimedia Commons', license: 'CC0' }
+];
+
+const render = (answer, options = {}) => parse(ResponseFormatter.formatResponse(answer, images, options));
+
+test('renders a single image with its caption, size, float and crop', () => {
+    const container = render('Text [[[img1 | caption: The <b>left</b> side | size: small | float: right | crop: wide top]]] more');
+
+    const figure = container.querySelector('figure');
+    assert.deepEqual(Array.from(figure.classList), ['answer-figure', 'size-small', 'float-right', 'crop-wide', 'crop-top']);
+    assert.equal(figure.querySelector('img').getAttribute('src'), 'https://upload.wikimedia.org/heart.png');
+    assert.equal(figure.querySelector('.figure-caption').textContent, 'The left side');
+    assert.match(figure.querySelector('figcaption small').textContent, /Heart diagram\.svg/);
+});
+
+test('takes a part without an option name as the caption and ignores unknown values', () => {
+    const figure = render('[[[img1 | What to notice | size: huge | float: middle | crop: round | crop: square center]]]').querySelector('figure');
+
+    assert.deepEqual(Array.from(figure.classList), ['answer-figure', 'crop-square']);
+    assert.equal(figure.querySelector('.figure-caption').textContent, 'What to notice');
+});
+
+test('ignores a crop with an unknown part to keep', () => {
+    const figure = render('[[[img1 | crop: wide middle]]]').querySelector('figure');
+    assert.deepEqual(Array.from(figure.classList), ['answer-figure']);
+});
+
+test('lays out galleries and comparisons with a caption for the group', () => {
+    const gallery = render('[[[gallery: img1; img2; img3 | caption: Views of the heart]]]').querySelector('figure.image-group');
+    assert.ok(gallery.classList.contains('image-gallery'));
+    assert.deepEqual(Array.from(gallery.querySelectorAll('.image-group-items img'), img => img.getAttribute('src')),
+        images.map(img => img.url));
+    assert.equal(gallery.querySelector(':scope > figcaption').textContent, 'Views of the heart');
+
+    const compare = render('[[[Compare : img2 ; img1]]]').querySelector('figure.image-group');
+    assert.ok(compare.classList.contains('image-compare'));
+    assert.deepEqual(Array.from(compare.querySelectorAll('img'), img => img.getAttribute('src')), [images[1].url, images[0].url]);
+});
+
+test('shows a group of which only one image exists as a single figure', () => {
+    const container = render('[[[compare: img1; img9]]]');
+    assert.equal(container.querySelector('.image-group'), null);
+    assert.equal(container.querySelectorAll('figure.answer-figure').length, 1);
+});
+
+test('matches images by exact ID or filename only, and drops the rest', () => {
+    const container = render('[[[IMG2]]] [[[Valve.jpg]]] [[[Heart]]] [[[img9]]] [[[]]] end');
+
+    assert.deepEqual(Array.from(container.querySelectorAll('img'), img => img.getAttribute('src')), [images[1].url, images[2].url]);
+    assert.doesNotMatch(container.textContent, /\[\[|\]\]/);
+});
+
+test('credits every image shown once the answer is complete', () => {
+    const complete = render('[[[img1]]] [[[gallery: img1; img2]]]');
+    assert.equal(complete.querySelectorAll('.image-credits li').length, 2);
+
+    const partial = render('[[[img1]]] and then [[[img2 | capt', { partial: true });
+    assert.equal(partial.querySelector('.image-credits'), null);
+    assert.equal(partial.querySelectorAll('img').length, 1);
+    assert.doesNotMatch(partial.textContent, /\[|capt/);
+});
+
+test('lists which image each placeholder resolves to', () => {
+    assert.deepEqual(JSON.parse(JSON.stringify(ResponseFormatter.resolvePlaceholders('[[[img1 | crop: tall]]] [[[gallery: img2; nope]]]', images))), [
+        { placeholder: '[[[img1 | crop: tall]]]', layout: 'single', refs: [{ ref: 'img1', id: 'img1' }] },
+        { placeholder: '[[[gallery: img2; nope]]]', layout: 'gallery', refs: [{ ref: 'img2', id: 'img2' }, { ref: 'nope', id: null }] }
+    ]);
+});
+
+test('finds unknown, repeated and bare image IDs', () => {
+    const issues = ResponseFormatter.validatePlaceholders(
+        'See [[[img1]]] and [[[img7]]] and again [[[compare: img1; img2]]]. As [[img3]] shows, and img2 too.', images);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(issues.map(({ type, ref }) => ({ type, ref })))), [
+        { type: 'unknown', ref: 'img7' },
+        { type: 'duplicate', ref: 'img1' },
+        { type: 'missing', ref: 'img3' },
+        { type: 'missing', ref: 'img2' }
+    ]);
+    assert.equal(ResponseFormatter.validatePlaceholders('All fine: [[[img1]]] [[[gallery: img2; img3]]]', images).length, 0);
+});
+
+test('accepts a repair that fixes the placeholders and keeps the text', () => {
+    const answer = 'The heart pumps blood around the body. [[[img1]]] The valves, see img3, keep it flowing. [[[img7]]] [[[img1]]]';
+    const issues = ResponseFormatter.validatePlaceholders(answer, images);
+    assert.equal(issues.length, 3);
+
+    const repaired = 'The heart pumps blood around the body. [[[img1]]] The valves keep it flowing. [[[img3]]] [[[img2]]]';
+    const { accepted, fixed, remaining } = ResponseFormatter.checkRepair(answer, repaired, issues, images);
+    assert.equal(accepted, true);
+    assert.deepEqual(Array.from(fixed, issue => issue.type), ['unknown', 'duplicate', 'missing']);
+    assert.equal(remaining.length, 0);
+
+    const partly = 'The heart pumps blood around the body. [[[img1]]] The valves, see img3, keep it flowing. [[[img2]]]';
+    const partial = ResponseFormatter.checkRepair(answer, partly, issues, images);
+    assert.equal(partial.accepted, true);
+    assert.deepEqual(Array.from(partial.remaining, issue => issue.ref), ['img3']);
+});
+
+test('rejects a repair that rewrites, cuts off or does not fix the answer', () => {
+    const answer = 'The heart pumps blood around the body through four chambers. [[[img1]]] [[[img7]]] Then the valves close. [[[img2]]]';
+    const issues = ResponseFormatter.validatePlaceholders(answer, images);
+    const check = (repaired) => ResponseFormatter.checkRepair(answer, repaired, issues, images).accepted;
+
+    assert.equal(check('The heart pumps blood around the body through four chambers. [[[img1]]] [[[img3]]] Then the valves close. [[[img2]]]'), true);
+    assert.equal(check('Sorry, I cannot help with that.'), false);
+    assert.equal(check('The heart pumps blood around the body through four chambers. [[[img1]]] [[[img3]]]'), false);
+    assert.equal(check('The heart pumps blood around the body through four chambers. Then the valves close. [[[img2]]]'), false);
+    assert.equal(check(answer), false);
+    assert.equal(check(`${answer} It also has its own blood supply, the coronary arteries, and a pacemaker.`), false);
+});
@@ -0,0 +1,52 @@
+// Test helpers - Load the app's browser scripts into a jsdom window
+//
+// The modules are plain scripts that define globals, as index.html and view.html load
+// them, so each test gets a fresh window with the scripts it needs run in order.
+// Their const globals are reached through window.eval('Name'). loadApp() runs every
+// script of index.html, app.js included, without starting the app.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const APP_DIR = path.join(__dirname, '..');
+
+// Logger lives in app.js, which needs the whole page; modules only call its log()
+const silentLogger = { log: () => {} };
+
+// The scripts index.html loads from the app, in its order
+const APP_SCRIPTS = Array.from(fs.readFileSync(path.join(APP_DIR, 'index.html'), 'utf8').matchAll(/<script src="([^":]+)"><\/script>/g),
+    match => match[1]);
+
+const createWindow = ({ url = 'https://llm.example/', globals = {} } = {}) => {
+    // What the scripts log stays out of the test output; errors jsdom reports do not
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { url, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+    // Defined rather than assigned, to replace what jsdom has, such as its crypto without subtle
+    Object.entries({ Logger: silentLogger, marked: require('marked'), ...globals }).forEach(([name, value]) => {
+        Object.defineProperty(window, name, { value, configurable: true, writable: true });
+    });
+    return dom;
+};
+
+// Run as scripts rather than eval'd, so their top-level consts are shared like in a page
+const runScripts = (dom, files) => {
+    const context = dom.getInternalVMContext();
+    files.forEach(file => new vm.Script(fs.readFileSync(path.join(APP_DIR, file), 'utf8'), { filename: file }).runInContext(context));
+    return dom.window;
+};
+
+const loadScripts = (files, options) => runScripts(createWindow(options), files);
+
+// The scripts run once the page has loaded, so app.js's DOMContentLoaded handler, which
+// needs the markup of index.html, never runs
+const loadApp = async (options) => {
+    const dom = createWindow(options);
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    return runScripts(dom, APP_SCRIPTS);
+};
+
+module.exports = { APP_DIR, loadScripts, loadApp };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers');
+
+// A history with an empty store of its own
+const createHistory = () => loadScripts(['history.js'], { globals: { indexedDB: new IDBFactory() } })
+    .eval('HistoryStore');
+
+const newEntry = (fields = {}) => ({
+    question: 'How does the heart work?',
+    llmConfig: { provider: 'openai', model: 'gpt-4o', baseUrl: '', apiKey: 'sk-secret' },
+    searchTerms: [{ term: 'heart anatomy' }],
+    images: [],
+    answer: 'It pumps blood.',
+    followUps: [],
+    share: null,
+    ...fields
+});
+
+test('never stores the API key of the model an answer came from', async () => {
+    const HistoryStore = createHistory();
+
+    const id = await HistoryStore.add(newEntry());
+    assert.deepEqual({ ...(await HistoryStore.get(id)).llmConfig }, { provider: 'openai', model: 'gpt-4o', baseUrl: '' });
+
+    await HistoryStore.update(id, { llmConfig: { provider: 'gemini', model: 'gemini-2.0-flash', baseUrl: '', apiKey: 'AIza-secret' } });
+    await HistoryStore.update(id, { followUps: [{ question: 'And the lungs?', answer: 'They breathe.' }] });
+    const entry = await HistoryStore.get(id);
+    assert.deepEqual({ ...entry.llmConfig }, { provider: 'gemini', model: 'gemini-2.0-flash', baseUrl: '' });
+    assert.equal(entry.followUps.length, 1);
+    assert.equal(JSON.stringify(await HistoryStore.list()).includes('secret'), false);
+});
+
+test('lists the newest entries first, filtered by every word of the query', async () => {
+    const HistoryStore = createHistory();
+    const first = await HistoryStore.add(newEntry());
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await HistoryStore.add(newEntry({
+        question: 'What do the lungs do?',
+        llmConfig: { provider: 'local', model: 'llava', baseUrl: 'http://localhost:11434' },
+        searchTerms: [{ term: 'lung alveoli' }]
+    }));
+
+    const ids = async (query) => Array.from(await HistoryStore.list(query), entry => entry.id);
+    assert.deepEqual(await ids(), [second, first]);
+    assert.deepEqual(await ids('LLAVA alveoli'), [second]);
+    assert.deepEqual(await ids('heart gpt-4o'), [first]);
+    assert.deepEqual(await ids('heart llava'), []);
+
+    await HistoryStore.remove(first);
+    assert.deepEqual(await ids(), [second]);
+    await assert.rejects(HistoryStore.update(first, { share: null }), /History entry not found/);
+});
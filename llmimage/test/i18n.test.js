@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { APP_DIR, loadScripts } = require('./helpers');
+
+const window = loadScripts(['i18n.js']);
+const I18n = window.eval('I18n');
+
+test('every interface string is translated into every language', () => {
+    const source = fs.readFileSync(path.join(APP_DIR, 'i18n.js'), 'utf8');
+    const keysOf = (locale) => {
+        const block = source.match(new RegExp(`\\n        ${locale}: \\{([\\s\\S]*?)\\n        \\}`))[1];
+        return Array.from(block.matchAll(/^\s*'([^']+)':/gm), match => match[1]).sort();
+    };
+
+    const english = keysOf('en');
+    assert.ok(english.length > 100);
+    ['de', 'es'].forEach(locale => assert.deepEqual(keysOf(locale), english, `${locale} strings differ from English`));
+});
+
+test('fills in parameters as they are and leaves unknown ones', () => {
+    I18n.setLocale('de');
+    assert.equal(I18n.t('attach.remove', { title: '<b>Herz.jpg</b>' }), '<b>Herz.jpg</b> entfernen');
+    assert.equal(I18n.t('error.message'), 'Fehler: {message}');
+});
+
+test('falls back to English, then to the key', () => {
+    I18n.setLocale('fr');
+    assert.equal(I18n.t('followUp.cancelled'), 'Cancelled.');
+    I18n.setLocale('es');
+    assert.equal(I18n.t('no.such.key'), 'no.such.key');
+});
+
+test('detects the language of a question', () => {
+    assert.equal(I18n.detectLanguage('Wie funktioniert das Herz und warum schlägt es?'), 'de');
+    assert.equal(I18n.detectLanguage('¿Cómo funciona el corazón?'), 'es');
+    assert.equal(I18n.detectLanguage('How does the heart work?'), 'en');
+});
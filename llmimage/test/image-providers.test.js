@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const response = (data) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => data });
+
+// Image sources whose requests go to handler(url), with the Commons search queries they sent
+const loadImageProviders = (handler) => {
+    const queries = [];
+    const window = loadScripts(['sanitizer.js', 'cache.js', 'licenses.js', 'scheduler.js', 'trace.js', 'image-providers.js'], {
+        globals: {
+            fetch: async (url) => {
+                const search = new URL(url).searchParams.get('srsearch');
+                if (search) queries.push(search);
+                return handler(String(url));
+            }
+        }
+    });
+    return { window, WikimediaAPI: window.eval('WikimediaAPI'), ImageProviders: window.eval('ImageProviders'), queries };
+};
+
+const searchResults = (...titles) => response({ query: { search: titles.map((title, i) => ({ title, pageid: i + 1 })) } });
+
+test('turns the hints of a search term into Commons search modifiers', async () => {
+    const { WikimediaAPI, queries } = loadImageProviders(() => searchResults('File:Heart.svg'));
+
+    await WikimediaAPI.searchImages({ term: 'heart', intent: 'diagram', fileType: 'any' });
+    await WikimediaAPI.searchImages({ term: 'heart', intent: 'diagram', fileType: 'bitmap' });
+    await WikimediaAPI.searchImages({ term: 'Herz', intent: 'photo', category: 'Category:Human "heart"' });
+    await WikimediaAPI.searchImages({ term: 'heart' });
+
+    assert.deepEqual(queries, [
+        'heart filetype:drawing -filetype:gif',
+        'heart filetype:bitmap -filetype:gif',
+        'Herz filetype:bitmap -filetype:gif incategory:"Human heart"',
+        'heart filetype:bitmap|drawing -filetype:gif'
+    ]);
+});
+
+test('searches again without the category when it finds nothing in it', async () => {
+    const { WikimediaAPI, queries } = loadImageProviders((url) => url.includes('incategory')
+        ? searchResults()
+        : searchResults('File:Heart.jpg'));
+
+    const results = await WikimediaAPI.searchImages({ term: 'heart', intent: 'photo', category: 'Hearts', language: 'en' });
+
+    assert.deepEqual(queries, ['heart filetype:bitmap -filetype:gif incategory:"Hearts"', 'heart filetype:bitmap -filetype:gif']);
+    assert.deepEqual(JSON.parse(JSON.stringify(results)), [{ title: 'File:Heart.jpg', pageId: 1, language: 'en' }]);
+});
+
+test('searches plain strings as terms without hints', async () => {
+    const { ImageProviders, queries } = loadImageProviders(() => searchResults('File:Heart.jpg'));
+
+    const results = await ImageProviders.searchAll(['heart valve'], ['wikimedia']);
+
+    assert.deepEqual(queries, ['heart valve filetype:bitmap|drawing -filetype:gif']);
+    assert.equal(results[0].provider, 'wikimedia');
+});
+
+test('interleaves the results of the sources, each in the order of its terms', async () => {
+    const { ImageProviders } = loadImageProviders(() => {
+        throw new Error('The stub sources do not fetch');
+    });
+    const stub = (providerId, resultsByTerm) => {
+        ImageProviders.get(providerId).searchImages = async (searchTerm) => (resultsByTerm[searchTerm.term] || [])
+            .map(title => ({ title }));
+    };
+    stub('wikimedia', { heart: ['w1', 'w2', 'w3'], valve: ['w4'] });
+    stub('nasa', { valve: ['n1'] });
+
+    const results = await ImageProviders.searchAll(['heart', { term: 'valve' }], ['wikimedia', 'nasa']);
+    assert.deepEqual(Array.from(results, result => `${result.provider}:${result.title}`),
+        ['wikimedia:w1', 'nasa:n1', 'wikimedia:w2', 'wikimedia:w3', 'wikimedia:w4']);
+
+    const reversed = await ImageProviders.searchAll(['heart', 'valve'], ['nasa', 'wikimedia']);
+    assert.deepEqual(Array.from(reversed, result => result.title), ['n1', 'w1', 'w2', 'w3', 'w4']);
+    assert.deepEqual(Array.from(await ImageProviders.searchAll(['lungs'], ['wikimedia', 'nasa'])), []);
+});
+
+test('passes cancelling on instead of reporting nothing found', async () => {
+    const { window, WikimediaAPI, ImageProviders } = loadImageProviders(() => {
+        throw new Error('A cancelled request is not sent');
+    });
+    const controller = new window.AbortController();
+    controller.abort();
+
+    await assert.rejects(WikimediaAPI.searchImages({ term: 'heart' }, controller.signal), { name: 'AbortError' });
+    await assert.rejects(WikimediaAPI.getImageDetails('File:Heart.jpg', 'en', controller.signal), { name: 'AbortError' });
+    for (const providerId of ['wikimedia', 'openverse', 'nasa', 'met']) {
+        await assert.rejects(ImageProviders.searchAll(['heart'], [providerId], controller.signal), { name: 'AbortError' }, providerId);
+    }
+    await assert.rejects(ImageProviders.getImageDetails({ provider: 'nasa', nasaId: 'heart' }, controller.signal), { name: 'AbortError' });
+    await assert.rejects(ImageProviders.getImageDetails({ provider: 'met', objectId: 1 }, controller.signal), { name: 'AbortError' });
+
+    // Other failures still count as nothing found
+    assert.deepEqual(Array.from(await WikimediaAPI.searchImages({ term: 'heart' })), []);
+    assert.equal(await WikimediaAPI.getImageDetails('File:Heart.jpg', 'en'), null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['sanitizer.js', 'licenses.js']);
+const ImageLicenses = window.eval('ImageLicenses');
+
+// License names as Commons' LicenseShortName and the other sources give them
+const LICENSES = [
+    { license: 'CC BY-SA 4.0', type: 'by-sa', url: 'https://creativecommons.org/licenses/by-sa/4.0/' },
+    { license: 'CC BY-SA 3.0 de', type: 'by-sa', url: 'https://creativecommons.org/licenses/by-sa/3.0/' },
+    { license: 'cc-by-sa-2.5', type: 'by-sa', url: 'https://creativecommons.org/licenses/by-sa/2.5/' },
+    { license: 'CC BY 2.0', type: 'by', url: 'https://creativecommons.org/licenses/by/2.0/' },
+    { license: 'Attribution', type: 'by', url: null },
+    { license: 'CC0', type: 'public-domain', url: 'https://creativecommons.org/publicdomain/zero/1.0/' },
+    { license: 'CC0 (Met Open Access)', type: 'public-domain', url: 'https://creativecommons.org/publicdomain/zero/1.0/' },
+    { license: 'Public domain', type: 'public-domain', url: null },
+    { license: 'PD-US', type: 'public-domain', url: null },
+    { license: 'pdm', type: 'public-domain', url: 'https://creativecommons.org/publicdomain/mark/1.0/' },
+    { license: 'CC BY-NC-SA 2.0', type: 'restricted', url: 'https://creativecommons.org/licenses/by-nc-sa/2.0/' },
+    { license: 'CC BY-ND 4.0', type: 'restricted', url: 'https://creativecommons.org/licenses/by-nd/4.0/' },
+    { license: 'GFDL', type: 'unknown', url: null },
+    { license: 'GFDL 1.2', type: 'unknown', url: null },
+    { license: 'Unknown license', type: 'unknown', url: null },
+    { license: '', type: 'unknown', url: null },
+    { license: null, type: 'unknown', url: null }
+];
+
+// Which classes each policy lets through
+const ALLOWED = {
+    any: ['public-domain', 'by', 'by-sa', 'restricted', 'unknown'],
+    'by-sa': ['public-domain', 'by', 'by-sa'],
+    by: ['public-domain', 'by'],
+    'public-domain': ['public-domain']
+};
+
+LICENSES.forEach(({ license, type, url }) => {
+    test(`classifies ${JSON.stringify(license)} as ${type}`, () => {
+        assert.equal(ImageLicenses.classify(license), type);
+        assert.equal(ImageLicenses.getLicenseUrl(license), url);
+        Object.entries(ALLOWED).forEach(([policy, types]) => {
+            assert.equal(ImageLicenses.isAllowed(license, policy), types.includes(type), `policy ${policy}`);
+        });
+    });
+});
+
+test('allows every license by default and refuses unknown policies', () => {
+    assert.equal(ImageLicenses.isAllowed('GFDL'), true);
+    assert.throws(() => ImageLicenses.isAllowed('CC0', 'free'), /Unknown license policy: free/);
+});
+
+test('credits an image with its source title and links the license deed', () => {
+    const attribution = ImageLicenses.getAttribution({
+        title: 'heart_diagram.png',
+        displayTitle: 'Heart diagram.svg',
+        sourceUrl: 'https://commons.wikimedia.org/wiki/File:Heart_diagram.svg',
+        attribution: '<a href="https://commons.wikimedia.org/wiki/User:Someone">Some  one</a>',
+        source: 'Wikimedia Commons',
+        license: 'CC BY-SA 4.0'
+    });
+
+    assert.deepEqual({ ...attribution }, {
+        title: 'Heart diagram.svg',
+        titleUrl: 'https://commons.wikimedia.org/wiki/File:Heart_diagram.svg',
+        author: 'Some one',
+        authorUrl: null,
+        source: 'Wikimedia Commons',
+        license: 'CC BY-SA 4.0',
+        licenseUrl: 'https://creativecommons.org/licenses/by-sa/4.0/'
+    });
+    assert.equal(ImageLicenses.getAttribution({ title: 'x.jpg', license: 'Unknown license' }).license, '');
+});
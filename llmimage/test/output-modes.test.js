@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['i18n.js', 'output-modes.js']);
+const OutputModes = window.eval('OutputModes');
+
+const parse = (html) => {
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+};
+
+const texts = (container, selector) => Array.from(container.querySelectorAll(selector), element => element.textContent.trim());
+
+test('lays out a slide per section, after the text before the first heading', () => {
+    const container = parse(OutputModes.render('slides',
+        'Overview first.\n\n## The *heart*\nIt pumps.\n\n## Valves\n- Four of them\n## Last slide'));
+
+    assert.equal(container.firstElementChild.localName, 'p');
+    assert.equal(container.firstElementChild.textContent, 'Overview first.');
+    assert.deepEqual(texts(container, '.slide h2'), ['The heart', 'Valves', 'Last slide']);
+    assert.equal(container.querySelector('.slide h2 em').textContent, 'heart');
+    assert.deepEqual(texts(container, '.slide li'), ['Four of them']);
+    assert.equal(container.querySelectorAll('.slide')[2].children.length, 1);
+});
+
+test('only splits at level-2 headings at the start of a line', () => {
+    const container = parse(OutputModes.render('flashcards',
+        '## Atrium\nUpper chamber.\n### Not a card\nText with ## inside.\n## Ventricle\nLower chamber.'));
+
+    assert.deepEqual(texts(container, '.flashcard-front'), ['Atrium', 'Ventricle']);
+    assert.equal(container.querySelector('.flashcard-back h3').textContent, 'Not a card');
+    assert.match(container.querySelector('.flashcard-back').textContent, /Text with ## inside\./);
+});
+
+test('takes the options and explanation out of each quiz question', () => {
+    const container = parse(OutputModes.render('quiz', [
+        '## How many chambers?',
+        'Look at the diagram.',
+        '- [ ] Two',
+        '* [x] Four',
+        '  - [X] **Also** four',
+        '- [] Not an option',
+        '> The heart has two atria',
+        '> and two ventricles.'
+    ].join('\n')));
+
+    const question = container.querySelector('.quiz-question');
+    assert.equal(question.querySelector('h3').textContent, 'How many chambers?');
+    assert.deepEqual(texts(question, '.quiz-option'), ['Two', 'Four', 'Also four']);
+    assert.deepEqual(texts(question, '.quiz-correct'), ['Four', 'Also four']);
+    assert.equal(question.querySelector('.quiz-explanation').textContent.trim(), 'The heart has two atria\nand two ventricles.');
+    assert.match(question.textContent, /Look at the diagram\./);
+    assert.match(question.querySelector(':scope > ul:not(.quiz-options)').textContent, /\[\] Not an option/);
+});
+
+test('leaves out the explanation of a quiz question that has none', () => {
+    const container = parse(OutputModes.render('quiz', '## Where is the heart?\n- [x] In the chest'));
+    assert.equal(container.querySelector('.quiz-explanation'), null);
+});
+
+test('renders answers without sections, and articles, as plain markdown', () => {
+    const prose = 'The heart has **four** chambers.';
+    assert.equal(OutputModes.render('quiz', prose), '<p>The heart has <strong>four</strong> chambers.</p>\n');
+    assert.equal(parse(OutputModes.render('article', '## Heading\nText')).querySelector('.slide, .quiz, .flashcards'), null);
+    assert.equal(parse(OutputModes.render('unknown', '## Heading\nText')).querySelector('h2').textContent, 'Heading');
+});
+
+test('scores a quiz as its questions are answered, once each', () => {
+    const container = parse(OutputModes.render('quiz', '## One\n- [x] Right\n- [ ] Wrong\n## Two\n- [ ] Wrong\n- [x] Right'));
+    OutputModes.activate(container);
+    const score = () => container.querySelector('.quiz-score').textContent;
+    const [first, second] = container.querySelectorAll('.quiz-question');
+
+    assert.equal(score(), 'Score: 0 of 2');
+    first.querySelector('.quiz-correct').click();
+    first.querySelector('.quiz-option:not(.quiz-correct)').click();
+    second.querySelector('.quiz-option:not(.quiz-correct)').click();
+    assert.equal(score(), 'Score: 1 of 2');
+    assert.equal(first.querySelectorAll('.chosen').length, 1);
+});
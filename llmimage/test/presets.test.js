@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers');
+
+// Presets with an empty store of their own
+const createPresets = () => loadScripts(['i18n.js', 'prompts.js', 'presets.js'], { globals: { indexedDB: new IDBFactory() } })
+    .eval('PromptPresets');
+
+const exportFile = (presets) => JSON.stringify({ format: 'llmimage-presets', version: 1, presets });
+
+test('fills in known variables and leaves the rest as written', () => {
+    const PromptPresets = createPresets();
+
+    assert.equal(PromptPresets.render('Explain "{question}" in {language}, {language}! {audience} {question', {
+        question: 'How does the heart work? {language}',
+        language: 'German'
+    }), 'Explain "How does the heart work? {language}" in German, German! {audience} {question');
+    assert.equal(PromptPresets.render('For {question}', {}), 'For {question}');
+});
+
+test('saves custom presets and refuses ones without a name, a template or with unknown variables', async () => {
+    const PromptPresets = createPresets();
+
+    const saved = await PromptPresets.save({ name: '  Nurses ', template: ' For nurses: {question} ' });
+    assert.match(saved.id, /^custom-/);
+    assert.deepEqual([saved.name, saved.template], ['Nurses', 'For nurses: {question}']);
+    assert.equal((await PromptPresets.get(saved.id)).name, 'Nurses');
+
+    await assert.rejects(PromptPresets.save({ name: ' ', template: 'x' }), /A preset needs a name/);
+    await assert.rejects(PromptPresets.save({ name: 'x', template: '' }), /A preset needs a template/);
+    await assert.rejects(PromptPresets.save({ name: 'x', template: '{audience} {question} {level} {audience}' }),
+        { message: 'Unknown variable {audience}, {level}; templates can use {question}, {language}' });
+    await assert.rejects(PromptPresets.save({ id: 'kids', name: 'Kids', template: 'x' }), /Built-in presets cannot be changed/);
+});
+
+test('imports every preset of a file, or none if one is bad', async () => {
+    const PromptPresets = createPresets();
+    const names = async () => Array.from(await PromptPresets.list(), preset => preset.name).filter(name => /^[AB] /.test(name));
+
+    await assert.rejects(PromptPresets.importPresets(exportFile([
+        { name: 'A first', template: 'Fine: {question}' },
+        { name: 'B second', template: 'Broken: {topic}' }
+    ])), /Unknown variable \{topic\}/);
+    assert.deepEqual(await names(), []);
+
+    for (const bad of [null, 'A third', 7, []]) {
+        await assert.rejects(PromptPresets.importPresets(exportFile([{ name: 'A first', template: 'x' }, bad])), /A preset needs a name/);
+    }
+    assert.deepEqual(await names(), []);
+
+    assert.equal(await PromptPresets.importPresets(exportFile([
+        { name: 'B second', template: 'Two: {question}' },
+        { name: 'A first', template: 'One: {question}' }
+    ])), 2);
+    assert.deepEqual(await names(), ['A first', 'B second']);
+
+    const exported = JSON.parse(await PromptPresets.exportPresets());
+    assert.deepEqual(exported.presets, [{ name: 'A first', template: 'One: {question}' }, { name: 'B second', template: 'Two: {question}' }]);
+});
+
+test('refuses files that are not a preset export', async () => {
+    const PromptPresets = createPresets();
+
+    await assert.rejects(PromptPresets.importPresets('{not json'), /not valid JSON/);
+    await assert.rejects(PromptPresets.importPresets('null'), /not a prompt preset export/);
+    await assert.rejects(PromptPresets.importPresets(JSON.stringify({ format: 'llmimage-presets', presets: {} })), /not a prompt preset export/);
+});
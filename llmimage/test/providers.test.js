@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+// Providers whose requests go to the given handler instead of the scheduler. handler(url, init)
+// returns the response; the requests are recorded with their parsed bodies.
+const createProviders = (handler) => {
+    const requests = [];
+    const window = loadScripts(['providers.js'], {
+        globals: {
+            TextDecoder,
+            RequestScheduler: {
+                fetch: async (url, init) => {
+                    requests.push({ url, body: JSON.parse(init.body), headers: init.headers });
+                    return handler(url, init);
+                }
+            }
+        }
+    });
+    return { LLMProviders: window.eval('LLMProviders'), requests };
+};
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+
+// A response whose body streams the text in pieces of the given sizes, so events can
+// be split anywhere, even inside a multi-byte character
+const streamResponse = (text, pieceSize = text.length) => {
+    const bytes = new TextEncoder().encode(text);
+    return {
+        ok: true,
+        status: 200,
+        body: new ReadableStream({
+            start(controller) {
+                for (let i = 0; i < bytes.length; i += pieceSize) {
+                    controller.enqueue(bytes.slice(i, i + pieceSize));
+                }
+                controller.close();
+            }
+        })
+    };
+};
+
+const geminiChunk = (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+
+const request = { model: 'gemini-2.0-flash', parts: [{ text: 'How does the heart work?' }] };
+
+test('splits model selections into provider and model at the first colon', () => {
+    const { LLMProviders } = createProviders();
+
+    assert.deepEqual({ ...LLMProviders.parseModelSelection('openai:gpt-4o') }, { provider: 'openai', model: 'gpt-4o' });
+    assert.deepEqual({ ...LLMProviders.parseModelSelection('local:llava:13b') }, { provider: 'local', model: 'llava:13b' });
+    assert.deepEqual({ ...LLMProviders.parseModelSelection('gemini-2.0-flash') }, { provider: 'gemini', model: 'gemini-2.0-flash' });
+    assert.throws(() => LLMProviders.get('other'), /Unknown model provider: other/);
+});
+
+test('sends Gemini the earlier turns, images, settings and schema in its own format', async () => {
+    const { LLMProviders, requests } = createProviders(() => jsonResponse({ candidates: [{ content: { parts: [{ text: 'It ' }, { text: 'pumps.' }] } }] }));
+
+    const text = await LLMProviders.get('gemini').generate({
+        ...request,
+        history: [
+            { role: 'user', parts: [{ text: 'Hi' }] },
+            { role: 'model', parts: [{ text: 'Hello' }] }
+        ],
+        parts: [{ text: 'Look:' }, { image: { mimeType: 'image/png', data: 'iVBOR' } }],
+        temperature: 0.2,
+        maxOutputTokens: 100,
+        responseSchema: { type: 'object', properties: { terms: { type: 'array', items: { type: 'string' } } } }
+    }, {});
+
+    assert.equal(text, 'It pumps.');
+    assert.equal(requests[0].url, 'https://tight-brook-3d83.jcmpagel.workers.dev/generateContent');
+    assert.deepEqual(requests[0].body, {
+        model: 'gemini-2.0-flash',
+        data: {
+            contents: [
+                { role: 'user', parts: [{ text: 'Hi' }] },
+                { role: 'model', parts: [{ text: 'Hello' }] },
+                { role: 'user', parts: [{ text: 'Look:' }, { inline_data: { mime_type: 'image/png', data: 'iVBOR' } }] }
+            ],
+            generationConfig: {
+                temperature: 0.2,
+                maxOutputTokens: 100,
+                responseMimeType: 'application/json',
+                responseSchema: { type: 'OBJECT', properties: { terms: { type: 'ARRAY', items: { type: 'STRING' } } } }
+            }
+        }
+    });
+});
+
+test('leaves out the generation config when there are no settings', async () => {
+    const { LLMProviders, requests } = createProviders(() => jsonResponse({ candidates: [] }));
+
+    assert.equal(await LLMProviders.get('gemini').generate(request, {}), '');
+    assert.deepEqual(Object.keys(requests[0].body.data), ['contents']);
+});
+
+test('reads events split across chunks, with comments, CRLF and a last event without a blank line', async () => {
+    const stream = ': keep-alive\n\n' + geminiChunk('Größe ') + geminiChunk('und ') +
+        `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Lage ✓' }] } }] })}`;
+    const { LLMProviders } = createProviders(() => streamResponse(stream, 7));
+    const seen = [];
+
+    const text = await LLMProviders.get('gemini').stream(request, {}, textSoFar => seen.push(textSoFar));
+
+    assert.equal(text, 'Größe und Lage ✓');
+    assert.deepEqual(seen, ['Größe ', 'Größe und ', 'Größe und Lage ✓']);
+});
+
+test('treats a stream without any event as an error rather than an empty answer', async () => {
+    // The proxy answers with plain JSON; the direct API needs a key, which is missing
+    const { LLMProviders, requests } = createProviders(() => streamResponse('[{"candidates":[]}]'));
+
+    await assert.rejects(LLMProviders.get('gemini').stream(request, {}, () => {}), /API key is required/);
+    assert.equal(requests.length, 1);
+
+    const { LLMProviders: local } = createProviders(() => streamResponse(''));
+    await assert.rejects(local.get('local').stream(request, {}, () => {}), /ended without any events/);
+});
+
+test('streams Gemini answers through the proxy as SSE and reports the usage of the last chunk', async () => {
+    const usageMetadata = (promptTokenCount, candidatesTokenCount) => ({
+        promptTokenCount,
+        candidatesTokenCount,
+        thoughtsTokenCount: 5,
+        promptTokensDetails: [{ modality: 'TEXT', tokenCount: 100 }, { modality: 'IMAGE', tokenCount: 516 }]
+    });
+    const chunk = (text, usage) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }], usageMetadata: usage })}\n\n`;
+    const { LLMProviders, requests } = createProviders(() => streamResponse(
+        chunk('The heart ', usageMetadata(616, 3)) + chunk('has four ', usageMetadata(616, 6)) + chunk('chambers.', usageMetadata(616, 9)), 10));
+    const seen = [];
+    const usages = [];
+
+    const text = await LLMProviders.get('gemini').stream({ ...request, onUsage: usage => usages.push({ ...usage }) }, {},
+        textSoFar => seen.push(textSoFar));
+
+    assert.equal(requests[0].url, 'https://tight-brook-3d83.jcmpagel.workers.dev/streamGenerateContent?alt=sse');
+    assert.equal(text, 'The heart has four chambers.');
+    assert.deepEqual(seen, ['The heart ', 'The heart has four ', 'The heart has four chambers.']);
+    assert.deepEqual(usages, [{ promptTokens: 616, imageTokens: 516, outputTokens: 14 }]);
+});
+
+test('falls back to the direct API with SSE when the proxy sends no stream', async () => {
+    const { LLMProviders, requests } = createProviders((url) => url.includes('workers.dev')
+        ? streamResponse('[{"candidates":[]}]')
+        : streamResponse(geminiChunk('Direct.')));
+
+    const text = await LLMProviders.get('gemini').stream(request, { apiKey: 'key' }, () => {});
+
+    assert.equal(text, 'Direct.');
+    assert.equal(requests[1].url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse&key=key');
+});
+
+test('streams OpenAI-compatible answers in order and reports the usage chunk at the end', async () => {
+    const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+    const { LLMProviders, requests } = createProviders(() => streamResponse(
+        event({ choices: [{ delta: { role: 'assistant' } }] }) +
+        event({ choices: [{ delta: { content: 'Four ' } }] }) +
+        event({ choices: [{ delta: { content: 'chambers' } }] }) +
+        event({ choices: [{ delta: { content: '.' }, finish_reason: 'stop' }] }) +
+        event({ choices: [], usage: { prompt_tokens: 1200, completion_tokens: 3 } }) +
+        'data: [DONE]\n\n', 16));
+    const seen = [];
+    const usages = [];
+
+    const text = await LLMProviders.get('openai').stream({ ...request, model: 'gpt-4o', onUsage: usage => usages.push({ ...usage }) },
+        { apiKey: 'sk-test' }, textSoFar => seen.push(textSoFar));
+
+    assert.equal(requests[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(requests[0].headers.Authorization, 'Bearer sk-test');
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+    assert.equal(text, 'Four chambers.');
+    assert.deepEqual(seen, ['Four ', 'Four chambers', 'Four chambers.']);
+    assert.deepEqual(usages, [{ promptTokens: 1200, imageTokens: null, outputTokens: 3 }]);
+});
+
+test('reports no usage for endpoints that do not send it', async () => {
+    const { LLMProviders } = createProviders(() => streamResponse(
+        `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\ndata: [DONE]\n\n`));
+    const usages = [];
+
+    assert.equal(await LLMProviders.get('local').stream({ ...request, onUsage: usage => usages.push(usage) }, {}, () => {}), 'Hi');
+    assert.deepEqual(usages, []);
+});
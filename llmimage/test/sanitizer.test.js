@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['i18n.js', 'sanitizer.js', 'licenses.js', 'formatter.js', 'output-modes.js']);
+const Sanitizer = window.eval('Sanitizer');
+const ResponseFormatter = window.eval('ResponseFormatter');
+
+const WIKIMEDIA_IMAGE = 'https://upload.wikimedia.org/wikipedia/commons/a/a1/Heart.jpg';
+
+// The sanitized HTML as elements, to check what is left of it
+const parse = (html) => {
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+};
+
+// Nothing in the HTML can run script or load from outside the allowlist
+const assertInert = (html) => {
+    const container = parse(html);
+    assert.equal(container.querySelectorAll('script, style, svg, iframe, object, embed').length, 0);
+    container.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            assert.ok(!name.startsWith('on'), `${element.localName} keeps ${name}`);
+            assert.ok(!/javascript:|url\(/i.test(value), `${element.localName} keeps ${name}="${value}"`);
+        });
+    });
+    container.querySelectorAll('img').forEach(img => {
+        assert.match(img.getAttribute('src'), /^https:\/\/upload\.wikimedia\.org\//);
+    });
+    container.querySelectorAll('a[href]').forEach(link => {
+        assert.match(link.getAttribute('href'), /^(https?:|mailto:|#)/);
+    });
+};
+
+test('drops script elements with their content', () => {
+    const html = Sanitizer.sanitizeHtml('<p>Hi</p><script>alert(1)</script><SCRIPT src="https://evil.example/x.js"></SCRIPT>');
+    assert.equal(html, '<p>Hi</p>');
+});
+
+test('removes event handler attributes', () => {
+    const html = Sanitizer.sanitizeHtml(
+        `<img src="${WIKIMEDIA_IMAGE}" onerror="alert(1)"><div onload="alert(2)" onclick="alert(3)">text</div>`);
+    const container = parse(html);
+    assert.equal(container.querySelector('img').getAttribute('src'), WIKIMEDIA_IMAGE);
+    assert.equal(container.querySelector('img').hasAttribute('onerror'), false);
+    assert.equal(container.querySelector('div').attributes.length, 0);
+    assert.equal(container.textContent, 'text');
+});
+
+test('removes images whose source is not allowed, with their handlers', () => {
+    assert.equal(Sanitizer.sanitizeHtml('<img src=https://evil.example/x onerror=alert(1)>'), '');
+    // Relative sources are on the app's own origin, e.g. a local catalog
+    assert.equal(Sanitizer.sanitizeHtml('<img src=x onerror=alert(1)>'), '<img src="x">');
+});
+
+test('removes javascript: and data: links but keeps the link text', () => {
+    const html = Sanitizer.sanitizeHtml(
+        '<a href="javascript:alert(1)">one</a><a href=" JaVaScRiPt:alert(1)">two</a>' +
+        '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">three</a>');
+    const links = parse(html).querySelectorAll('a');
+    assert.equal(links.length, 3);
+    links.forEach(link => assert.equal(link.hasAttribute('href'), false));
+    assert.equal(parse(html).textContent, 'onetwothree');
+});
+
+test('opens allowed links in a new tab without an opener', () => {
+    const link = parse(Sanitizer.sanitizeHtml('<a href="https://commons.wikimedia.org/">Commons</a>')).querySelector('a');
+    assert.equal(link.getAttribute('target'), '_blank');
+    assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('keeps only layout styles without urls', () => {
+    const html = Sanitizer.sanitizeHtml(
+        '<p style="background:url(https://evil.example/track.png); color: red; position: fixed">a</p>' +
+        '<p style="width: expression(alert(1))">b</p><p style="background-image: url(javascript:alert(1))">c</p>');
+    const paragraphs = parse(html).querySelectorAll('p');
+    assert.equal(paragraphs[0].getAttribute('style'), 'color: red');
+    assert.equal(paragraphs[1].hasAttribute('style'), false);
+    assert.equal(paragraphs[2].hasAttribute('style'), false);
+});
+
+test('drops inline SVG and SVG data images', () => {
+    const svg = 'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+';
+    const html = Sanitizer.sanitizeHtml(
+        `<svg onload="alert(1)"><script>alert(2)</script></svg><img src="${svg}"><img src="data:image/png;base64,iVBORw0KGgo=">`);
+    const images = parse(html).querySelectorAll('img');
+    assert.equal(parse(html).querySelector('svg'), null);
+    assert.equal(images.length, 1);
+    assert.match(images[0].getAttribute('src'), /^data:image\/png;base64,/);
+});
+
+test('drops images from hosts outside the allowlist', () => {
+    const html = Sanitizer.sanitizeHtml([
+        'https://evil.example/a.jpg',
+        'https://upload.wikimedia.org.evil.example/a.jpg',
+        'https://evilstaticflickr.com/a.jpg',
+        'http://upload.wikimedia.org/a.jpg',
+        '//evil.example/a.jpg',
+        WIKIMEDIA_IMAGE,
+        'https://farm5.staticflickr.com/a.jpg'
+    ].map(src => `<img src="${src}">`).join(''));
+    assert.deepEqual(Array.from(parse(html).querySelectorAll('img'), img => img.getAttribute('src')),
+        [WIKIMEDIA_IMAGE, 'https://farm5.staticflickr.com/a.jpg']);
+});
+
+test('accepts extra image urls only when they are passed in', () => {
+    const src = 'https://images.example/own.jpg';
+    assert.equal(Sanitizer.sanitizeHtml(`<img src="${src}">`), '');
+    assert.equal(parse(Sanitizer.sanitizeHtml(`<img src="${src}">`, { allowedImageUrls: [src] })).querySelector('img').getAttribute('src'), src);
+});
+
+test('renders a tampered shared conversation without anything active', () => {
+    // A share row as the viewer loads it, with every field edited by an attacker
+    const images = [{
+        id: 'img1',
+        title: '"><img src=x onerror=alert(1)>',
+        displayTitle: '<script>alert(2)</script>',
+        url: 'javascript:alert(3)',
+        altText: '" onmouseover="alert(4)',
+        license: '<b onclick="alert(5)">CC BY</b>',
+        licenseUrl: 'javascript:alert(6)',
+        attribution: '<img src=x onerror=alert(7)>',
+        attributionUrl: 'data:text/html,<script>alert(8)</script>',
+        source: '<svg onload=alert(9)>',
+        sourceUrl: 'javascript:alert(10)'
+    }, {
+        id: 'img2',
+        title: 'Heart.jpg',
+        url: 'https://evil.example/track.gif',
+        source: 'Wikimedia Commons'
+    }];
+    const answer = 'Intro <script>alert(11)</script> [[[img1 | caption: <img src=x onerror=alert(12)>]]]\n\n' +
+        '<a href="javascript:alert(13)">link</a> <p style="background:url(https://evil.example/)">x</p> [[[img2]]]\n\n' +
+        '[click](javascript:alert(14)) ![](https://evil.example/pixel.gif)';
+    const followUps = [{ question: '<img src=x onerror=alert(15)>', answer: '<iframe src="https://evil.example/"></iframe>More' }];
+
+    const html = ResponseFormatter.formatConversation(answer, followUps, images, { trustImageUrls: false, mode: 'article' });
+
+    assertInert(html);
+    const container = parse(html);
+    assert.equal(container.querySelectorAll('img').length, 0);
+    assert.match(container.textContent, /Intro/);
+    assert.match(container.textContent, /More/);
+    // The question is shown as text, not markup
+    assert.match(container.querySelector('.follow-up-question').textContent, /<img src=x onerror=alert\(15\)>/);
+});
+
+test('renders the HTML of old shares through the allowlist', () => {
+    assertInert(Sanitizer.sanitizeHtml(
+        `<div class="answer"><img src="${WIKIMEDIA_IMAGE}" onload="alert(1)"><object data="x"></object>` +
+        '<form action="https://evil.example/"><input name="password"></form><meta http-equiv="refresh" content="0;url=https://evil.example/"></div>'));
+});
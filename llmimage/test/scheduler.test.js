@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const response = (status, headers = {}) => ({ status, ok: status < 400, headers: { get: name => headers[name] || null } });
+
+// A scheduler whose fetch answers with the given responses in turn (an Error is thrown)
+// and whose waits are recorded and skipped
+const createScheduler = (replies, { fireTimers = true } = {}) => {
+    const calls = [];
+    const delays = [];
+    const window = loadScripts(['scheduler.js'], {
+        globals: {
+            fetch: async (url, init) => {
+                calls.push({ url, init });
+                const reply = replies[Math.min(calls.length, replies.length) - 1];
+                if (reply instanceof Error) throw reply;
+                return typeof reply === 'function' ? reply() : reply;
+            },
+            setTimeout: (callback, ms) => {
+                delays.push(ms);
+                if (fireTimers) setImmediate(callback);
+                return delays.length;
+            },
+            clearTimeout: () => {}
+        }
+    });
+    return { RequestScheduler: window.eval('RequestScheduler'), window, calls, delays };
+};
+
+test('retries server errors with exponential backoff', async () => {
+    const { RequestScheduler, calls, delays } = createScheduler([response(503), response(502), response(200)]);
+
+    const result = await RequestScheduler.fetch('https://api.example/search');
+
+    assert.equal(result.status, 200);
+    assert.equal(calls.length, 3);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] >= 1000 && delays[0] < 1250, `first wait ${delays[0]}`);
+    assert.ok(delays[1] >= 2000 && delays[1] < 2250, `second wait ${delays[1]}`);
+});
+
+test('waits as long as Retry-After says, in seconds or as a date', async () => {
+    const seconds = createScheduler([response(429, { 'Retry-After': '3' }), response(200)]);
+    await seconds.RequestScheduler.fetch('https://api.example/search');
+    assert.deepEqual(seconds.delays, [3000]);
+
+    const date = createScheduler([response(503, { 'Retry-After': new Date(Date.now() + 5000).toUTCString() }), response(200)]);
+    await date.RequestScheduler.fetch('https://api.example/search');
+    assert.equal(date.delays.length, 1);
+    assert.ok(date.delays[0] > 3000 && date.delays[0] <= 5000, `wait ${date.delays[0]}`);
+});
+
+test('gives up at once when Retry-After asks for too long a wait', async () => {
+    const { RequestScheduler, calls, delays } = createScheduler([response(429, { 'Retry-After': '120' }), response(200)]);
+
+    const result = await RequestScheduler.fetch('https://api.example/search');
+
+    assert.equal(result.status, 429);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(delays, []);
+});
+
+test('retries MediaWiki maxlag errors', async () => {
+    const { RequestScheduler, calls } = createScheduler([response(200, { 'MediaWiki-API-Error': 'maxlag', 'Retry-After': '1' }), response(200)]);
+
+    const result = await RequestScheduler.fetch('https://commons.wikimedia.org/w/api.php?action=query');
+
+    assert.equal(result.headers.get('MediaWiki-API-Error'), null);
+    assert.equal(calls.length, 2);
+});
+
+test('returns the last response once the retries are used up', async () => {
+    const { RequestScheduler, calls } = createScheduler([response(500)]);
+
+    const result = await RequestScheduler.fetch('https://api.example/generate', { method: 'POST' }, { retries: 1 });
+
+    assert.equal(result.status, 500);
+    assert.equal(calls.length, 2);
+});
+
+test('does not retry client errors', async () => {
+    const { RequestScheduler, calls } = createScheduler([response(404), response(200)]);
+
+    assert.equal((await RequestScheduler.fetch('https://api.example/missing')).status, 404);
+    assert.equal(calls.length, 1);
+});
+
+test('repeats only idempotent requests after a network failure', async () => {
+    const get = createScheduler([new TypeError('Failed to fetch'), response(200)]);
+    assert.equal((await get.RequestScheduler.fetch('https://api.example/search')).status, 200);
+    assert.equal(get.calls.length, 2);
+
+    const post = createScheduler([new TypeError('Failed to fetch'), response(200)]);
+    await assert.rejects(post.RequestScheduler.fetch('https://api.example/generate', { method: 'POST' }), /Failed to fetch/);
+    assert.equal(post.calls.length, 1);
+});
+
+test('stops waiting for a retry when the request is cancelled', async () => {
+    const { RequestScheduler, window, calls } = createScheduler([response(503), response(200)], { fireTimers: false });
+    const controller = new window.AbortController();
+
+    const request = RequestScheduler.fetch('https://api.example/search', { signal: controller.signal });
+    await new Promise(setImmediate);
+    controller.abort();
+
+    await assert.rejects(request, { name: 'AbortError' });
+    assert.equal(calls.length, 1);
+});
+
+test('does not wait for a retry of a request cancelled while it was sent', async () => {
+    const controller = new AbortController();
+    const { RequestScheduler, calls, delays } = createScheduler([() => {
+        controller.abort();
+        return response(503);
+    }, response(200)], { fireTimers: false });
+
+    await assert.rejects(RequestScheduler.fetch('https://api.example/search', { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(delays, []);
+});
+
+test('takes the abort listener of each wait off the signal once the wait is over', async () => {
+    const { RequestScheduler, window } = createScheduler([response(503), response(502), response(200)]);
+    const controller = new window.AbortController();
+    const listeners = new Set();
+    const { signal } = controller;
+    const addEventListener = signal.addEventListener.bind(signal);
+    const removeEventListener = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => {
+        listeners.add(listener);
+        addEventListener(type, listener, options);
+    };
+    signal.removeEventListener = (type, listener, options) => {
+        listeners.delete(listener);
+        removeEventListener(type, listener, options);
+    };
+
+    assert.equal((await RequestScheduler.fetch('https://api.example/search', { signal })).status, 200);
+    assert.equal(listeners.size, 0);
+});
+
+test('cancels the body of every response it retries', async () => {
+    const cancelled = [];
+    const withBody = (status) => ({
+        ...response(status),
+        body: { cancel: async () => cancelled.push(status) }
+    });
+    const { RequestScheduler } = createScheduler([withBody(503), withBody(429), withBody(500)]);
+
+    const result = await RequestScheduler.fetch('https://api.example/search', {}, { retries: 2 });
+    assert.equal(result.status, 500);
+    assert.deepEqual(cancelled, [503, 429]);
+});
+
+test('holds requests of a pool to its concurrency cap', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const pending = [];
+    const { RequestScheduler } = createScheduler([() => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        return new Promise(resolve => pending.push(() => {
+            active--;
+            resolve(response(200));
+        }));
+    }]);
+
+    const requests = Array.from({ length: 5 }, () => RequestScheduler.fetch('https://api.example/generate', { method: 'POST' }, { pool: 'llm' }));
+    while (pending.length > 0 || active > 0) {
+        await new Promise(setImmediate);
+        if (pending.length > 0) pending.shift()();
+    }
+
+    assert.equal((await Promise.all(requests)).length, 5);
+    assert.equal(maxActive, 2);
+});
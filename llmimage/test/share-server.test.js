@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server reads where to keep shares when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmimage-shares-'));
+process.env.SHARES_FILE = path.join(dataDir, 'shares.json');
+const { server } = require('../share-server.js');
+
+let port;
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+})));
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Sent as written, without the normalizing fetch would do to the path
+const request = (method, requestPath, { headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(text) : null;
+            resolve({ status: res.statusCode, headers: res.headers, text, json });
+        });
+    });
+    req.on('error', reject);
+    req.end(body);
+});
+
+const postShare = (record) => request('POST', '/api/shares', {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(record)
+});
+
+const newShare = (fields = {}) => {
+    const deleteToken = crypto.randomBytes(24).toString('hex');
+    return {
+        deleteToken,
+        record: {
+            id: crypto.randomBytes(12).toString('hex'),
+            question: 'How does the heart work?',
+            answer: 'It pumps blood. [[[img1]]]',
+            images: [{ id: 'img1', title: 'Heart.jpg', url: 'https://upload.wikimedia.org/heart.jpg' }],
+            deleteTokenHash: crypto.createHash('sha256').update(deleteToken).digest('hex'),
+            ...fields
+        }
+    };
+};
+
+test('stores a share and returns it without the delete token hash', async () => {
+    const { record } = newShare();
+
+    const created = await postShare(record);
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.json, { id: record.id });
+
+    const loaded = await request('GET', `/api/shares/${record.id}`);
+    assert.equal(loaded.status, 200);
+    assert.equal(loaded.json.question, record.question);
+    assert.equal(loaded.json.answer, record.answer);
+    assert.deepEqual(loaded.json.images, record.images);
+    assert.equal(loaded.json.views, 0);
+    assert.equal('deleteTokenHash' in loaded.json, false);
+});
+
+test('refuses incomplete, duplicate and oversized shares', async () => {
+    const { record } = newShare();
+    assert.equal((await postShare({ ...record, answer: undefined })).status, 400);
+    assert.equal((await postShare({ ...record, id: 'not-an-id' })).status, 400);
+    assert.equal((await postShare({ ...record, deleteTokenHash: 'abc' })).status, 400);
+    assert.equal((await request('POST', '/api/shares', { body: '{not json' })).status, 400);
+
+    assert.equal((await postShare(record)).status, 201);
+    assert.equal((await postShare(record)).status, 409);
+
+    const { record: large } = newShare({ answer: 'x'.repeat(2 * 1024 * 1024) });
+    assert.equal((await postShare(large)).status, 413);
+});
+
+test('counts views', async () => {
+    const { record } = newShare();
+    await postShare(record);
+
+    assert.equal((await request('POST', `/api/shares/${record.id}/views`)).status, 204);
+    assert.equal((await request('POST', `/api/shares/${record.id}/views`)).status, 204);
+    assert.equal((await request('GET', `/api/shares/${record.id}`)).json.views, 2);
+});
+
+test('deletes a share only with its delete token', async () => {
+    const { record, deleteToken } = newShare();
+    await postShare(record);
+
+    assert.equal((await request('DELETE', `/api/shares/${record.id}`)).status, 403);
+    assert.equal((await request('DELETE', `/api/shares/${record.id}`, { headers: { 'X-Delete-Token': 'wrong' } })).status, 403);
+    assert.equal((await request('DELETE', `/api/shares/${record.id}`, { headers: { 'X-Delete-Token': deleteToken } })).status, 204);
+    assert.equal((await request('GET', `/api/shares/${record.id}`)).status, 404);
+});
+
+test('treats expired shares as gone', async () => {
+    const { record } = newShare({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await postShare(record);
+
+    assert.equal((await request('GET', `/api/shares/${record.id}`)).status, 404);
+    assert.equal((await request('POST', `/api/shares/${record.id}/views`)).status, 404);
+});
+
+test('answers malformed share IDs and paths with 400', async () => {
+    assert.equal((await request('GET', '/api/shares/__proto__')).status, 400);
+    assert.equal((await request('GET', '/api/shares/%E0%A4%A')).status, 400);
+    assert.equal((await request('GET', '/%E0%A4%A')).status, 400);
+    assert.equal((await request('PUT', `/api/shares/${'a'.repeat(24)}`)).status, 404);
+});
+
+test('writes the preview of a share into the viewer page', async () => {
+    const { record } = newShare({ question: 'Heart & "lungs"?' });
+    await postShare(record);
+
+    const page = await request('GET', `/view.html?id=${record.id}&embed=1`);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /<title>Heart &amp; &quot;lungs&quot;\? \|/);
+    assert.match(page.text, /<meta property="og:image" content="https:\/\/upload\.wikimedia\.org\/heart\.jpg">/);
+    assert.match(page.text, new RegExp(`<meta property="og:url" content="http://127\\.0\\.0\\.1:${port}/view\\.html\\?id=${record.id}">`));
+
+    const unknown = await request('GET', '/view.html?id=__proto__');
+    assert.equal(unknown.status, 200);
+    assert.match(unknown.text, /<!-- share-preview/);
+});
+
+test('escapes the question and summary in the preview tags and shows the first image of the answer', async () => {
+    const { record } = newShare({
+        question: 'Is a "beat" rate < 60 & steady slow?',
+        answer: 'It beats "faster" & harder when running. [[[img2]]] Later: [[[img1]]]',
+        images: [
+            { id: 'user1', title: 'Sketch.png', url: 'data:image/png;base64,AAAA', userProvided: true },
+            { id: 'img1', title: 'Heart.jpg', url: 'https://upload.wikimedia.org/heart.jpg' },
+            { id: 'img2', title: 'Pulse.jpg', url: 'https://upload.wikimedia.org/pulse.jpg', altText: 'A "pulse" curve' }
+        ]
+    });
+    await postShare(record);
+
+    const page = await request('GET', `/view.html?id=${record.id}`);
+    const title = 'Is a &quot;beat&quot; rate &lt; 60 &amp; steady slow?';
+    const description = 'It beats &quot;faster&quot; &amp; harder when running. Later:';
+    for (const [attribute, key, content] of [
+        ['property', 'og:title', title],
+        ['name', 'twitter:title', title],
+        ['name', 'description', description],
+        ['property', 'og:description', description],
+        ['name', 'twitter:description', description],
+        ['property', 'og:image', 'https://upload.wikimedia.org/pulse.jpg'],
+        ['name', 'twitter:image', 'https://upload.wikimedia.org/pulse.jpg'],
+        ['property', 'og:image:alt', 'A &quot;pulse&quot; curve'],
+        ['name', 'twitter:card', 'summary_large_image']
+    ]) {
+        assert.ok(page.text.includes(`<meta ${attribute}="${key}" content="${content}">`), `${key} is ${content}`);
+    }
+    assert.equal(page.text.includes('rate < 60'), false);
+});
+
+test('serves the app but nothing outside it or dotfiles', async () => {
+    const index = await request('GET', '/');
+    assert.equal(index.status, 200);
+    assert.match(index.headers['content-type'], /text\/html/);
+
+    assert.equal((await request('GET', '/app.js')).status, 200);
+    assert.equal((await request('GET', '/..%2fREADME.md')).status, 404);
+    assert.equal((await request('GET', '/..%2f..%2fetc%2fpasswd')).status, 404);
+    assert.equal((await request('GET', '/.hidden')).status, 404);
+});
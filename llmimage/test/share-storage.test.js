@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+// Compression and hashing come from Node, as jsdom has neither
+const nodeGlobals = {
+    Blob,
+    Response,
+    CompressionStream,
+    DecompressionStream,
+    TextEncoder,
+    crypto: require('crypto').webcrypto
+};
+
+// The storage of a viewer page at https://llm.example/, with the given backend
+const createStorage = (config, globals = {}) => {
+    const window = loadScripts(['share-storage.js'], {
+        globals: { ...nodeGlobals, SHARE_STORAGE_CONFIG: config, ...globals }
+    });
+    return window.eval('ShareStorage');
+};
+
+const record = {
+    question: 'How does the heart work?',
+    answer: 'The heart has four chambers. [[[img1 | caption: Größe und Lage]]]\n\n[[[img2]]] ünïcödé ✓',
+    followUps: [{ question: 'And the valves?', answer: 'Four valves. [[[img1]]]' }],
+    images: [
+        { id: 'img1', title: 'Heart.jpg', url: 'https://upload.wikimedia.org/heart.jpg', license: 'CC BY-SA 4.0', userProvided: false },
+        { id: 'img2', title: 'sketch.png', url: null, userProvided: true }
+    ],
+    answerLanguage: 'en',
+    preset: { id: 'kids', name: 'For kids' },
+    outputMode: 'article'
+};
+
+test('a link that holds the answer opens as the same share', async () => {
+    const ShareStorage = createStorage({ backend: 'fragment' });
+
+    const share = await ShareStorage.createShare(record, 7);
+    const link = new URL(share.url);
+
+    assert.equal(share.id, null);
+    assert.equal(share.deleteToken, null);
+    assert.equal(link.pathname, '/view.html');
+    assert.ok(ShareStorage.isFragmentLink(link));
+    // base64url, so nothing in the link needs escaping
+    assert.match(link.hash, /^#share=[A-Za-z0-9_-]+$/);
+
+    // Through JSON, as the record comes from the window's realm
+    const loaded = JSON.parse(JSON.stringify(await ShareStorage.loadShare(link)));
+    assert.deepEqual(loaded, { ...record, expiresAt: share.expiresAt, createdAt: loaded.createdAt });
+});
+
+test('a link past its expiry opens as gone', async () => {
+    const ShareStorage = createStorage({ backend: 'fragment' });
+    const share = await ShareStorage.get().save({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.equal(await ShareStorage.loadShare(new URL(share.url)), null);
+});
+
+test('a link with a corrupted answer does not open', async () => {
+    const ShareStorage = createStorage({ backend: 'fragment' });
+    await assert.rejects(ShareStorage.loadShare(new URL('https://llm.example/view.html#share=bm90LWRlZmxhdGU')));
+});
+
+test('refuses answers too long for a link', async () => {
+    const ShareStorage = createStorage({ backend: 'fragment' });
+    // Random text barely compresses
+    const noise = Array.from({ length: 20000 }, () => Math.random().toString(36).charAt(2)).join('');
+
+    await assert.rejects(ShareStorage.createShare({ ...record, answer: noise }), /too long to fit in a link/);
+});
+
+test('refuses records with image data before anything is sent', async () => {
+    const requests = [];
+    const ShareStorage = createStorage({ backend: 'http', http: { baseUrl: 'api' } }, {
+        fetch: async (url, options) => {
+            requests.push({ url: String(url), options });
+            return { ok: true, status: 201, json: async () => ({}) };
+        }
+    });
+    const dataUrl = `data:image/png;base64,${'A'.repeat(600 * 1024)}`;
+
+    await assert.rejects(
+        ShareStorage.createShare({ ...record, images: [{ id: 'img1', title: 'photo.png', url: dataUrl, userProvided: true }] }),
+        /too large to share/);
+    assert.equal(requests.length, 0);
+
+    const share = await ShareStorage.createShare(record);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://llm.example/api/shares');
+    const body = JSON.parse(requests[0].options.body);
+    assert.equal(body.id, share.id);
+    assert.match(body.deleteTokenHash, /^[0-9a-f]{64}$/);
+    assert.equal(body.deleteToken, undefined);
+    assert.equal(share.url, `https://llm.example/view.html?id=${share.id}`);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['trace.js']);
+const PipelineTrace = window.eval('PipelineTrace');
+
+const settings = { llmConfig: { provider: 'gemini', model: 'gemini-2.0-flash' }, imageSources: ['wikimedia'] };
+
+test('keeps the stages of each question in its own trace', async () => {
+    const first = PipelineTrace.start('How does the heart work?', settings);
+    const pending = first.time('search', { term: 'heart' }, () => new Promise(resolve => setTimeout(() => resolve(['File:Heart.jpg']), 5)),
+        results => ({ results }));
+
+    // A newer question starts while a search of the first one is still running
+    const second = PipelineTrace.start('And the lungs?', settings);
+    second.record('followUp', { question: 'And the lungs?' });
+    await pending;
+    first.record('error', { message: 'The question was cancelled' });
+
+    assert.deepEqual(Array.from(first.data.stages, stage => stage.stage), ['search', 'error']);
+    assert.deepEqual(Array.from(first.data.stages[0].results), ['File:Heart.jpg']);
+    assert.deepEqual(Array.from(second.data.stages, stage => stage.stage), ['followUp']);
+});
+
+test('records into the first trace after a second one started', () => {
+    const first = PipelineTrace.start('How does the heart work?', settings);
+    const second = PipelineTrace.start('What do the lungs do?', settings);
+
+    first.record('searchTerms', { terms: ['heart'] });
+    first.setResult({ answer: 'It pumps.', followUps: [], images: [] });
+    second.record('searchTerms', { terms: ['lungs'] });
+
+    assert.equal(first.data.question, 'How does the heart work?');
+    assert.deepEqual(Array.from(first.data.stages, stage => stage.terms[0]), ['heart']);
+    assert.equal(first.data.result.answer, 'It pumps.');
+    assert.equal(second.data.question, 'What do the lungs do?');
+    assert.deepEqual(Array.from(second.data.stages, stage => stage.terms[0]), ['lungs']);
+    assert.equal(second.data.result, null);
+});
+
+test('records a failed stage with its error and throws it on', async () => {
+    const trace = PipelineTrace.start('How does the heart work?', settings);
+
+    await assert.rejects(trace.time('searchTerms', {}, async () => {
+        throw new Error('Quota exceeded');
+    }), /Quota exceeded/);
+    assert.equal(trace.data.stages[0].error, 'Quota exceeded');
+    assert.ok(trace.data.stages[0].duration >= 0);
+});
+
+test('downloads as JSON that parses back into a trace to add to', () => {
+    const trace = PipelineTrace.start('How does the heart work?', settings);
+    trace.record('model', { step: 'analysis', request: PipelineTrace.describeParts([{ text: 'Prompt' }, { image: { mimeType: 'image/png', data: 'iVBOR' } }]) });
+    trace.setResult({ answer: 'It pumps. [[[img1]]]', followUps: [], images: [{ id: 'img1', title: 'Heart.jpg', url: null }] });
+
+    const text = PipelineTrace.toJSON(trace);
+    assert.doesNotMatch(text, /iVBOR/);
+
+    const replayed = PipelineTrace.parse(text);
+    assert.equal(replayed.data.question, 'How does the heart work?');
+    replayed.record('followUp', { question: 'And the valves?' });
+    assert.deepEqual(Array.from(replayed.data.stages, stage => stage.stage), ['model', 'followUp']);
+    assert.equal(trace.data.stages.length, 1);
+});
+
+test('refuses files that are not a trace or have no answer', () => {
+    assert.throws(() => PipelineTrace.parse('{not json'), /not valid JSON/);
+    assert.throws(() => PipelineTrace.parse('{"format":"other","stages":[]}'), /not a pipeline trace/);
+    assert.throws(() => PipelineTrace.parse('{"format":"llmimage-trace","stages":[],"result":null}'), /no answer to replay/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+// A fresh tracker for each test, as its state lasts for the page
+const createTracker = () => loadScripts(['usage.js']).eval('UsageTracker');
+
+const gemini = { provider: 'gemini', model: 'gemini-2.0-flash' };
+
+test('adds up the calls of each question and of the session', () => {
+    const UsageTracker = createTracker();
+    let changes = 0;
+    UsageTracker.onChange(() => changes++);
+
+    UsageTracker.startQuestion('How does the heart work?');
+    UsageTracker.record('searchTerms', gemini, { promptTokens: 200, outputTokens: 20 });
+    UsageTracker.record('analysis', { ...gemini, images: 2 }, { promptTokens: 3000, imageTokens: 2000, outputTokens: 800 });
+    UsageTracker.startQuestion('And the valves?', true);
+    UsageTracker.record('followUp', { provider: 'openai', model: 'gpt-4o' }, { promptTokens: 1000, outputTokens: 100 });
+
+    assert.equal(changes, 5);
+    const [followUp, question] = UsageTracker.getQuestions();
+    assert.equal(followUp.followUp, true);
+    assert.equal(followUp.totals.imageTokens, null);
+    assert.equal(question.calls.length, 2);
+    assert.equal(question.totals.totalTokens, 4020);
+    assert.equal(question.totals.imageTokens, 2000);
+
+    const session = UsageTracker.getSessionTotals();
+    assert.equal(session.promptTokens, 4200);
+    assert.equal(session.outputTokens, 920);
+    assert.ok(Math.abs(session.cost - (3200 * 0.10 + 820 * 0.40 + 1000 * 2.50 + 100 * 10.00) / 1e6) < 1e-12);
+});
+
+test('prices known models, counts self-hosted ones as free and leaves others unpriced', () => {
+    const UsageTracker = createTracker();
+    UsageTracker.record('analysis', { provider: 'local', model: 'llava' }, { promptTokens: 5000, outputTokens: 500 });
+    UsageTracker.record('analysis', { provider: 'custom', model: 'my-model' }, { promptTokens: 5000, outputTokens: 500 });
+
+    const [question] = UsageTracker.getQuestions();
+    assert.deepEqual(Array.from(question.calls, call => call.cost), [0, null]);
+    assert.equal(question.totals.cost, 0);
+});
+
+test('estimates image tokens from what the API last reported for the model', () => {
+    const UsageTracker = createTracker();
+    const parts = [{ text: 'x'.repeat(400) }, { image: {} }, { image: {} }];
+
+    assert.equal(UsageTracker.estimateTokens(parts, gemini), 100 + 2 * 1032);
+    assert.equal(UsageTracker.estimateTokens(parts, { provider: 'openai', model: 'gpt-4o-mini' }), 100 + 2 * 25501);
+    assert.equal(UsageTracker.estimateTokens(parts, { provider: 'local', model: 'llava' }), 100 + 2 * 1000);
+
+    UsageTracker.record('analysis', { ...gemini, images: 4 }, { promptTokens: 1500, imageTokens: 1032, outputTokens: 10 });
+    assert.equal(UsageTracker.estimateTokens(parts, gemini), 100 + 2 * 258);
+});
+
+test('counts the budget from the start of each question', () => {
+    const UsageTracker = createTracker();
+    assert.equal(UsageTracker.getRemainingTokens(), Infinity);
+
+    UsageTracker.setBudget({ maxTokens: 5000, mode: 'block' });
+    UsageTracker.startQuestion('How does the heart work?');
+    UsageTracker.record('analysis', gemini, { promptTokens: 3000, outputTokens: 500 });
+    assert.equal(UsageTracker.getRemainingTokens(), 1500);
+
+    UsageTracker.startQuestion('And the valves?', true);
+    assert.equal(UsageTracker.getRemainingTokens(), 5000);
+
+    UsageTracker.setBudget({ maxTokens: 0, mode: 'unknown' });
+    assert.deepEqual({ ...UsageTracker.getBudget() }, { maxTokens: null, mode: 'block' });
+    assert.equal(UsageTracker.getRemainingTokens(), Infinity);
+});
+
+test('leaves out the images that do not fit the budget, or refuses the request', () => {
+    const UsageTracker = createTracker();
+    const images = ['img1', 'img2', 'img3', 'img4'];
+    const estimate = (sent) => 500 + sent.length * 1000;
+    UsageTracker.startQuestion('How does the heart work?');
+
+    assert.equal(UsageTracker.fitImages(images, estimate), 4);
+
+    UsageTracker.setBudget({ maxTokens: 3000, mode: 'cap-images' });
+    assert.equal(UsageTracker.fitImages(images, estimate), 2);
+    assert.equal(UsageTracker.fitImages(images, estimate, 3), null);
+
+    UsageTracker.record('searchTerms', gemini, { promptTokens: 2000, outputTokens: 100 });
+    assert.equal(UsageTracker.fitImages(images, estimate), 0);
+    assert.equal(UsageTracker.fitImages([], estimate), 0);
+
+    UsageTracker.setBudget({ maxTokens: 3000, mode: 'block' });
+    assert.equal(UsageTracker.fitImages(images, estimate), null);
+    assert.equal(UsageTracker.fitImages(images.slice(0, 0), () => 900), 0);
+});
@@ -0,0 +1,97 @@
+// PipelineTrace Module - Structured record of how an answer came about
+//
+// Each question starts a trace; its follow-ups add to it. Every stage of the pipeline
+// (search terms, the search for each term, image details, each image kept or skipped,
+// model calls and placeholder resolution) is recorded with when it started and how
+// long it took, and the trace ends with what is needed to show the answer again:
+//   { format: 'llmimage-trace', version: 1, createdAt, question, settings,
+//     stages: [{ stage, at, duration, ...data }], result }
+// at and duration are milliseconds since the trace started. Each question gets a trace
+// object of its own that is passed down the pipeline, so stages that finish after the
+// question was cancelled or replaced do not end up in the next question's trace. Traces
+// download as JSON, for bug reports and regression fixtures. API keys and the data of
+// images never go into a trace; images the user attached are listed without their data.
+const PipelineTrace = (() => {
+    const FORMAT = 'llmimage-trace';
+    const VERSION = 1;
+
+    // settings are the choices the question was asked with, such as the model and image sources
+    const start = (question, settings) => resume({
+        format: FORMAT,
+        version: VERSION,
+        createdAt: new Date().toISOString(),
+        question,
+        settings,
+        stages: [],
+        result: null
+    });
+
+    // Continue a trace started earlier, e.g. when a follow-up is asked. data is the trace as
+    // it downloads; the returned object records into it.
+    const resume = (data) => {
+        const startTime = Date.parse(data.createdAt);
+
+        // Milliseconds since the trace started, to pass to record() as when a stage started
+        const now = () => Date.now() - startTime;
+
+        // Add a stage that started at startedAt (now() by default) and ends now
+        const record = (stage, stageData = {}, startedAt = null) => {
+            const at = startedAt === null ? now() : startedAt;
+            data.stages.push({ stage, at, duration: now() - at, ...stageData });
+        };
+
+        // Run a stage and record it with its duration: describe(result) says what came out of it,
+        // and a failure is recorded with its error before it is thrown on
+        const time = async (stage, stageData, run, describe = () => ({})) => {
+            const startedAt = now();
+            try {
+                const result = await run();
+                record(stage, { ...stageData, ...describe(result) }, startedAt);
+                return result;
+            } catch (error) {
+                record(stage, { ...stageData, error: error.message }, startedAt);
+                throw error;
+            }
+        };
+
+        // result is what the answer is shown with: { answer, followUps, images }
+        const setResult = (result) => {
+            data.result = result;
+        };
+
+        return { data, now, record, time, setResult };
+    };
+
+    // For steps run outside a question; records nothing
+    const NONE = {
+        data: null,
+        now: () => 0,
+        record: () => {},
+        time: async (stage, stageData, run) => run(),
+        setResult: () => {}
+    };
+
+    // Request parts as they can be stored: the text, and only the type of each image
+    const describeParts = (parts) => parts.map(part => part.image ? { image: part.image.mimeType } : { text: part.text });
+
+    const toJSON = (trace) => JSON.stringify(trace.data, null, 2);
+
+    const parse = (text) => {
+        let trace;
+        try {
+            trace = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!trace || trace.format !== FORMAT || !Array.isArray(trace.stages)) {
+            throw new Error('The file is not a pipeline trace');
+        }
+        if (!trace.result || typeof trace.result.answer !== 'string' || !Array.isArray(trace.result.images)) {
+            throw new Error('The trace has no answer to replay');
+        }
+        return resume(trace);
+    };
+
+    return { NONE, start, resume, describeParts, toJSON, parse };
+})();
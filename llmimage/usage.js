@@ -0,0 +1,165 @@
+// UsageTracker Module - Token counts and estimated cost of every model call in this session
+//
+// Providers report what each call used as { promptTokens, imageTokens, outputTokens };
+// prompt tokens include the image tokens, which not every API reports separately
+// (null then). Calls are grouped by the question or follow-up they were made for, with
+// running totals for the session, which lasts until the page is reloaded. An optional
+// token budget per question is checked before the large requests are sent: the app
+// either leaves out images that do not fit or refuses the request.
+const UsageTracker = (() => {
+    // List prices in US dollars per million tokens; images are billed as input tokens.
+    // Models that are not listed show no cost, self-hosted ones are free.
+    const PRICES = {
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+        'gemini-2.0-flash-thinking': { input: 0.10, output: 0.40 }, // Billed like Flash
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 }
+    };
+    const FREE_PROVIDERS = ['local'];
+
+    // Tokens per image until the API has reported real numbers for a model, for images of
+    // up to 1536 pixels as ImageProcessor sends them; GPT-4o mini counts images at a higher rate
+    const IMAGE_TOKENS = {
+        gemini: 1032,
+        openai: 765,
+        'gpt-4o-mini': 25501
+    };
+    const DEFAULT_IMAGE_TOKENS = 1000;
+    const CHARS_PER_TOKEN = 4;
+
+    const BUDGET_MODES = ['cap-images', 'block'];
+
+    let questions = []; // { question, followUp, calls: [{ step, provider, model, images, promptTokens, imageTokens, outputTokens, cost }] }
+    let current = null;
+    let budget = { maxTokens: null, mode: 'cap-images' };
+    const measuredImageTokens = {}; // Tokens per image the API reported last, by model
+    const listeners = [];
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    const onChange = (listener) => {
+        listeners.push(listener);
+    };
+
+    // Estimated cost in US dollars, null for models without a known price
+    const getCost = (provider, model, { promptTokens, outputTokens }) => {
+        if (FREE_PROVIDERS.includes(provider)) {
+            return 0;
+        }
+        const price = PRICES[model];
+        return price ? (promptTokens * price.input + outputTokens * price.output) / 1e6 : null;
+    };
+
+    // Calls from now on belong to this question or follow-up
+    const startQuestion = (question, followUp = false) => {
+        current = { question, followUp, calls: [] };
+        questions.push(current);
+        notify();
+    };
+
+    // Add a call's usage to the current question; images is how many images it sent
+    const record = (step, { provider, model, images = 0 }, usage) => {
+        const call = {
+            step,
+            provider,
+            model,
+            images,
+            promptTokens: usage.promptTokens || 0,
+            imageTokens: usage.imageTokens === undefined ? null : usage.imageTokens,
+            outputTokens: usage.outputTokens || 0
+        };
+        call.cost = getCost(provider, model, call);
+
+        if (images > 0 && call.imageTokens) {
+            measuredImageTokens[model] = call.imageTokens / images;
+        }
+
+        if (!current) {
+            startQuestion('');
+        }
+        current.calls.push(call);
+        Logger.log(`Token usage for ${step} (${model}): ${call.promptTokens} prompt` +
+            `${images > 0 && call.imageTokens !== null ? `, ${call.imageTokens} of them for ${images} images` : ''}, ${call.outputTokens} output` +
+            `${call.cost === null ? '' : `, about $${call.cost.toFixed(4)}`}`);
+        notify();
+    };
+
+    // Token and cost totals of some calls; image tokens and cost are null if no call reported
+    // image tokens or has a known price
+    const sumCalls = (calls) => calls.reduce((totals, call) => ({
+        promptTokens: totals.promptTokens + call.promptTokens,
+        imageTokens: call.imageTokens === null ? totals.imageTokens : (totals.imageTokens || 0) + call.imageTokens,
+        outputTokens: totals.outputTokens + call.outputTokens,
+        totalTokens: totals.totalTokens + call.promptTokens + call.outputTokens,
+        cost: call.cost === null ? totals.cost : (totals.cost || 0) + call.cost
+    }), { promptTokens: 0, imageTokens: null, outputTokens: 0, totalTokens: 0, cost: null });
+
+    // Most recent first, each with its totals
+    const getQuestions = () => questions
+        .filter(entry => entry.calls.length > 0)
+        .map(entry => ({ ...entry, totals: sumCalls(entry.calls) }))
+        .reverse();
+
+    const getSessionTotals = () => sumCalls(questions.flatMap(entry => entry.calls));
+
+    // Rough token count of request parts ({ text } or { image }) before they are sent
+    const estimateTokens = (parts, { provider, model }) => {
+        const imageTokens = measuredImageTokens[model] || IMAGE_TOKENS[model] || IMAGE_TOKENS[provider] || DEFAULT_IMAGE_TOKENS;
+        return Math.ceil(parts.reduce((tokens, part) => tokens + (part.image
+            ? imageTokens
+            : (part.text || '').length / CHARS_PER_TOKEN), 0));
+    };
+
+    // maxTokens of null means no budget; mode is one of BUDGET_MODES
+    const setBudget = ({ maxTokens, mode }) => {
+        budget = {
+            maxTokens: maxTokens > 0 ? maxTokens : null,
+            mode: BUDGET_MODES.includes(mode) ? mode : budget.mode
+        };
+    };
+
+    const getBudget = () => ({ ...budget });
+
+    // Tokens the current question may still use, Infinity without a budget
+    const getRemainingTokens = () => {
+        if (!budget.maxTokens) {
+            return Infinity;
+        }
+        return budget.maxTokens - (current ? sumCalls(current.calls).totalTokens : 0);
+    };
+
+    // How many of the images a request can send within the budget: all of them when they fit,
+    // fewer but at least minImages in 'cap-images' mode, or null when the request must be
+    // refused. estimate(images) is how many tokens the request would use with those images.
+    const fitImages = (images, estimate, minImages = 0) => {
+        const remaining = getRemainingTokens();
+        if (remaining === Infinity || estimate(images) <= remaining) {
+            return images.length;
+        }
+
+        if (budget.mode === 'cap-images') {
+            for (let count = images.length - 1; count >= minImages; count--) {
+                if (estimate(images.slice(0, count)) <= remaining) {
+                    return count;
+                }
+            }
+        }
+        return null;
+    };
+
+    return {
+        PRICES,
+        BUDGET_MODES,
+        onChange,
+        startQuestion,
+        record,
+        getQuestions,
+        getSessionTotals,
+        estimateTokens,
+        setBudget,
+        getBudget,
+        getRemainingTokens,
+        fitImages
+    };
+})();